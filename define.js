@@ -1,6 +1,7 @@
 import { FormValidationListElement } from './form-validation-list.js';
+import { FormValidationSummaryElement } from './form-validation-summary.js';
 
-export function defineFormValidationList(tagName = 'form-validation-list') {
+function defineElement(tagName, constructor) {
 	const hasWindow = typeof window !== 'undefined';
 	const registry = hasWindow ? window.customElements : undefined;
 
@@ -9,10 +10,21 @@ export function defineFormValidationList(tagName = 'form-validation-list') {
 	}
 
 	if (!registry.get(tagName)) {
-		registry.define(tagName, FormValidationListElement);
+		registry.define(tagName, constructor);
 	}
 
 	return true;
 }
 
+export function defineFormValidationList(tagName = 'form-validation-list') {
+	return defineElement(tagName, FormValidationListElement);
+}
+
+export function defineFormValidationSummary(
+	tagName = 'form-validation-summary',
+) {
+	return defineElement(tagName, FormValidationSummaryElement);
+}
+
 defineFormValidationList();
+defineFormValidationSummary();
@@ -1,10 +1,78 @@
+export interface FormValidationRuleContext {
+	element: HTMLElement;
+	field: HTMLElement;
+	list: FormValidationListElement;
+	selected: string[];
+	params: Record<string, string>;
+	signal: AbortSignal;
+}
+
+export type FormValidationRuleValidator = (
+	value: string,
+	context: FormValidationRuleContext,
+) => boolean | Promise<boolean>;
+
+export interface FormValidationRuleDefinition {
+	id: string;
+	pattern?: string | RegExp;
+	flags?: string;
+	test?: FormValidationRuleValidator;
+	label?: string;
+	message?: string;
+}
+
+export interface FormValidationRuleDescription {
+	id: string | null;
+	pattern: string | null;
+	flags: string | null;
+	test: FormValidationRuleValidator | null;
+	label: string;
+	message: string | null;
+}
+
+export interface FormValidationRuleResult {
+	id: string | null;
+	label: string;
+	pattern: string | null;
+	matched: boolean;
+	pending: boolean;
+	previousMatched: boolean;
+	element: HTMLElement;
+}
+
+export type FormValidationNormalizeStep =
+	| 'trim'
+	| 'nfc'
+	| 'nfd'
+	| 'nfkc'
+	| 'nfkd'
+	| 'lowercase'
+	| 'uppercase'
+	| 'collapse'
+	| 'nospace';
+
+export interface FormValidationStrength {
+	score: number;
+	label: string;
+}
+
 export declare class FormValidationListElement extends HTMLElement {
+	static formAssociated: boolean;
+	static registerRule(name: string, validator: FormValidationRuleValidator): void;
+	static registerMessages(locale: string, messages: Record<string, string>): void;
+	static getMessage(key: string, element: Element): string;
+	static getFieldLabel(field: Element): string;
+	static isSubmitting(form: HTMLFormElement | null): boolean;
 	get ["for"](): string | null;
 	set ["for"](value: string | null);
 	get fieldId(): string | null;
 	set fieldId(value: string | null);
-	get triggerEvent(): string;
-	set triggerEvent(value: string | null);
+	get forName(): string | null;
+	set forName(value: string | null);
+	get field(): HTMLElement | null;
+	set field(value: HTMLElement | null);
+	get triggerEvent(): 'input' | 'blur' | 'change' | 'submit' | 'hybrid';
+	set triggerEvent(value: 'input' | 'blur' | 'change' | 'submit' | 'hybrid' | string | null);
 	get inputThrottle(): number;
 	set inputThrottle(value: number | string | null);
 	get eachDelay(): number;
@@ -17,26 +85,86 @@ export declare class FormValidationListElement extends HTMLElement {
 	set ruleUnmatchedClass(value: string | null);
 	get ruleMatchedClass(): string;
 	set ruleMatchedClass(value: string | null);
+	get rulePendingClass(): string;
+	set rulePendingClass(value: string | null);
+	get ruleErrorClass(): string;
+	set ruleErrorClass(value: string | null);
+	get ruleEmphasisClass(): string;
+	set ruleEmphasisClass(value: string | null);
+	get autoRules(): boolean;
+	set autoRules(value: boolean);
+	get interceptSubmit(): boolean;
+	set interceptSubmit(value: boolean);
 	get ruleMatchedIcon(): string | null;
 	set ruleMatchedIcon(value: string | null);
 	get ruleUnmatchedIcon(): string | null;
 	set ruleUnmatchedIcon(value: string | null);
+	get rulePendingIcon(): string | null;
+	set rulePendingIcon(value: string | null);
 	get ruleMatchedAlt(): string;
 	set ruleMatchedAlt(value: string | null);
 	get ruleUnmatchedAlt(): string;
 	set ruleUnmatchedAlt(value: string | null);
+	get rulePendingAlt(): string;
+	set rulePendingAlt(value: string | null);
 	get announcement(): string;
 	set announcement(value: string | null);
+	get normalization(): FormValidationNormalizeStep[];
+	set normalization(value: FormValidationNormalizeStep[] | string | null);
+	get announce(): 'summary' | 'changes' | 'verbose' | 'off';
+	set announce(value: 'summary' | 'changes' | 'verbose' | 'off' | string | null);
 	get validationMessage(): string | null;
 	set validationMessage(value: string | null);
+	get validityMode(): 'field' | 'internals';
+	set validityMode(value: 'field' | 'internals' | string | null);
+	get strengthThresholds(): number[];
+	set strengthThresholds(value: number[] | string | null);
+	get strengthLabels(): string[];
+	set strengthLabels(value: string[] | string | null);
+	get strengthMeter(): boolean;
+	set strengthMeter(value: boolean);
+	get strengthMeterLabel(): string;
+	set strengthMeterLabel(value: string | null);
+	get rules(): FormValidationRuleDescription[];
+	set rules(value: FormValidationRuleDefinition[]);
+	addRule(rule: FormValidationRuleDefinition): HTMLElement;
+	removeRule(id: string): boolean;
+	getRules(): FormValidationRuleDescription[];
 	validate(): boolean;
+	reset(): void;
+	checkValidity(): boolean;
+	reportValidity(): boolean;
+	get form(): HTMLFormElement | null;
+	get validity(): ValidityState | null;
 	get isValid(): boolean;
+	get results(): FormValidationRuleResult[];
+	get pristine(): boolean;
+	get dirty(): boolean;
+	get touched(): boolean;
+	get strength(): FormValidationStrength;
+}
+
+export interface FormValidationSummaryError {
+	field: HTMLElement;
+	label: string;
+	unmetRules: string[];
+}
+
+export declare class FormValidationSummaryElement extends HTMLElement {
+	get ["for"](): string | null;
+	set ["for"](value: string | null);
+	get heading(): string;
+	set heading(value: string | null);
+	show(): boolean;
+	get errors(): FormValidationSummaryError[];
 }
 
 export declare function defineFormValidationList(tagName?: string): boolean;
+export declare function defineFormValidationSummary(tagName?: string): boolean;
 
 declare global {
 	interface HTMLElementTagNameMap {
 		'form-validation-list': FormValidationListElement;
+		'form-validation-summary': FormValidationSummaryElement;
 	}
 }
@@ -3,42 +3,394 @@
  *
  * @element form-validation-list
  *
- * @attr {string} for - The ID of the input field to validate
- * @attr {string} trigger-event - The event to trigger validation on ("input" or "blur", default: "input")
+ * @attr {string} for - The ID of the input field to validate, looked up in this element's root (document or shadow root).
+ *   When neither `for` nor `for-name` is set, the single form control inside this element is validated
+ * @attr {string} for-name - The name of the field to validate, looked up in the closest form (or this element's root
+ *   when not in a form); takes precedence over `for`
+ * @attr {string} trigger-event - When to validate: "input" (default), "blur", "change", "submit" (then on change after a
+ *   submit), or "hybrid" (on blur until the field is first left or its form submitted, then on input; reset with the form)
  * @attr {number} input-throttle - Delay in milliseconds before running validation on input events (default: 250)
  * @attr {number} each-delay - Delay in milliseconds between each rule being classified (default: 150)
  * @attr {string} field-invalid-class - The class to apply when the field is invalid (default: "validation-invalid")
  * @attr {string} field-valid-class - The class to apply when the field is valid (default: "validation-valid")
  * @attr {string} rule-unmatched-class - The class to apply when the rule's requirement are not met (default: "validation-unmatched")
  * @attr {string} rule-matched-class - The class to apply when the rule's requirement are met (default: "validation-matched")
+ * @attr {string} rule-pending-class - The class to apply while an asynchronous rule is being checked (default: "validation-pending")
+ * @attr {string} rule-error-class - The class to apply to rules whose pattern cannot be compiled (default: "validation-error")
+ * @attr {string} rule-emphasis-class - The class to apply to unmet rules when a submit is blocked (default: "validation-emphasis")
  * @attr {string} rule-matched-icon - Icon character for matched rules (default: "✓"); also configurable via --rule-matched-icon CSS custom property
  * @attr {string} rule-unmatched-icon - Icon character for unmatched rules (default: "✗"); also configurable via --rule-unmatched-icon CSS custom property
+ * @attr {string} rule-pending-icon - Icon character for pending rules (default: "…"); also configurable via --rule-pending-icon CSS custom property
  * @attr {string} rule-matched-alt - Localized hidden state text for matched rules, used once the field has a value (default: "Criteria met")
  * @attr {string} rule-unmatched-alt - Localized hidden state text for unmatched rules, used once the field has a value (default: "Criteria not met")
- * @attr {string} announcement - Live region announcement template with {matched} and {total} placeholders (default: "Criteria met: {matched} of {total}")
- * @attr {string} validation-message - Custom validation message template with {matched} and {total} placeholders (default: "Please match all validation requirements ({matched} of {total})")
+ * @attr {string} rule-pending-alt - Localized hidden state text for rules still being checked, used once the field has a value (default: "Checking")
+ * @attr {string} announcement - Live region announcement template with {matched}, {total}, {remaining}, {unmet},
+ *   {firstUnmet} and {label} placeholders (default: "Criteria met: {matched} of {total}")
+ * @attr {string} validation-message - Custom validation message template with the same placeholders as announcement
+ *   (default: "Please match all validation requirements ({matched} of {total})")
+ * @attr {string} normalize - Space-separated steps applied, in order, to the value before rules run: trim, nfc, nfd, nfkc,
+ *   nfkd, lowercase, uppercase, collapse (whitespace runs to one space), or nospace (remove whitespace)
+ * @attr {string} announce - What the live region says while typing, and only when a rule changes state: "summary" (the
+ *   announcement template, default), "changes" (e.g. "Now met: A number"), "verbose" (changes, then the summary), or "off"
+ * @attr {boolean} auto-rules - Generate rule items from the field's constraint attributes (required, minlength, maxlength,
+ *   pattern, type="email", min, max) and keep them in sync as those attributes change
+ * @attr {boolean} intercept-submit - Handle blocked submits instead of the browser: suppress its validation bubble, restore
+ *   aria-describedby, emphasize unmet rules, focus the form's first invalid field, and announce the failure assertively
+ * @attr {string} validity-mode - Where validity is reported: "field" (setCustomValidity on the field, default) or "internals"
+ *   (the element's own ElementInternals, as a form-associated custom element)
+ * @attr {string} strength-thresholds - Space-separated scores (0–1) where each strength band begins after the first (default: "0.5 0.8")
+ * @attr {string} strength-labels - Comma-separated localized labels for each strength band (default: "Weak, Fair, Strong")
+ * @attr {boolean} strength-meter - Render a <meter> showing the strength score inside the component
+ * @attr {string} strength-meter-label - Accessible label for the strength meter (default: "Strength")
  *
+ * Rule elements may combine any of the following attributes; a rule is matched when all of them pass:
+ * - `data-pattern` - Regular expression the value must match, compiled with any `data-flags` (i, s, u, or v). A pattern
+ *   that fails to compile marks its rule with the error class, fires `form-validation-list:rule-error`, and leaves the
+ *   rule out of validity (like an advisory rule)
+ * - `data-min-length` / `data-max-length` - Length bounds, counted in grapheme clusters (user-perceived characters)
+ * - `data-min-selected` / `data-max-selected` - Bounds on how many options are selected (select) or members are
+ *   checked (checkbox or radio group)
+ * - `data-min-count` / `data-max-count` - Space-separated `class:count` pairs (e.g. "digit:2 symbol:1") where class is one of
+ *   digit, letter, lower, upper, symbol, or space
+ * - `data-equals` / `data-not-equals` - ID of another field whose value this one must (or must not) equal
+ * - `data-not-contains-field` - ID of another field whose value must not appear in this one (case-insensitive)
+ * - `data-auto-rule` - One of the field's native constraints (required, minlength, maxlength, pattern, email, min, or max),
+ *   checked the way the browser checks it; generated by `auto-rules`, or authored to supply your own label
+ * - `data-severity="advisory"` - Show the rule's state without letting it block submission
+ * - `data-require` - On a nested list (or the item containing it), the number of its rules that must be met; the
+ *   group counts as a single rule
+ * - `data-weight` - How much the rule contributes to the strength score (default: 1)
+ * - `data-message` - The validation message to report while the rule is unmet, instead of the `validation-message`
+ *   template; supports the same placeholders
+ * - `data-priority` - Which unmet rule's `data-message` is reported first: higher numbers win, ties go to the earlier
+ *   rule (default: 0)
+ * - `data-rule` - Name of a validator registered with `FormValidationListElement.registerRule()`; any `data-rule-*`
+ *   attributes are passed to it as params (e.g. `data-rule-field="email"` becomes `params.field`). Validators may
+ *   return a Promise; the rule stays pending (and the field invalid) until it settles, and stale checks are aborted
+ *   through `context.signal` when the value changes
+ *
+ * The field may be an input, textarea, select (whose value is its selected option values, comma-separated), a checkbox
+ * or radio input (validated together with every input sharing its name in the same form), or a contenteditable element
+ * (validated by its text content).
+ *
+ * The host and field carry classes for the user's interaction: `pristine` or `dirty` (whether the user has changed the
+ * value) and `touched` (whether they have left the field), prefixed with `validation-` on the field.
+ *
+ * Text attributes left unset use the message catalog for the closest `lang` (see `registerMessages()`), and every
+ * template may choose plural forms with `{matched, plural, one {...} other {...}}`.
+ *
+ * @fires form-validation-list:before-validate - Fired before each validation run; cancel it to skip the run (reporting
+ *   the field as valid), or replace `detail.value` to change the value under test
  * @fires form-validation-list:validated - Fired when validation completes with details about matched/total rules
+ * @fires form-validation-list:rule-change - Fired during validation for each rule whose settled matched state flipped
+ * @fires form-validation-list:validitychange - Fired when the field turns valid or invalid, once no asynchronous rules are
+ *   pending; `previousValid` is `null` for the first settled result after connecting
+ * @fires form-validation-list:field-connected - Fired each time the element binds to its field, including when the field
+ *   appears after the element or is replaced by a new node
+ * @fires form-validation-list:rule-error - Fired during setup for each rule whose pattern cannot be compiled
  *
- * @slot - Default slot for list items with data-pattern attributes
+ * @slot - Default slot for list items with rule attributes (data-pattern, data-min-length, etc.)
  *
  * @cssprop --rule-matched-icon - Icon for matched state (default: "✓"). Alias: --validation-icon-matched
  * @cssprop --rule-unmatched-icon - Icon for unmatched state (default: "✗"). Alias: --validation-icon-unmatched
+ * @cssprop --rule-pending-icon - Icon for pending state (default: "…")
  * @cssprop --rule-icon-size - Size of the validation icons (default: 1em). Alias: --validation-icon-size
  * @cssprop --rule-matched-color - Color for matched rules (default: green). Alias: --validation-matched-color
  * @cssprop --rule-unmatched-color - Color for unmatched rules (default: red). Alias: --validation-unmatched-color
+ * @cssprop --rule-pending-color - Color for pending rules (default: gray)
  */
 export class FormValidationListElement extends HTMLElement {
+	static formAssociated = true;
 	static #stylesInjected = false;
 	static #styleId = 'form-validation-list-styles';
 	static #describedByRestoreDelay = 200;
+	static #ruleAttributes = [
+		'data-pattern',
+		'data-min-length',
+		'data-max-length',
+		'data-min-count',
+		'data-max-count',
+		'data-min-selected',
+		'data-max-selected',
+		'data-equals',
+		'data-not-equals',
+		'data-not-contains-field',
+		'data-rule',
+		'data-auto-rule',
+	];
+	static #ruleSelector = FormValidationListElement.#ruleAttributes
+		.map((name) => `[${name}]`)
+		.join(', ');
+	static #fieldReferences = {
+		'data-equals': (value, other) => value === other,
+		'data-not-equals': (value, other) => value !== other,
+		'data-not-contains-field': (value, other) =>
+			!other ||
+			!value.toLocaleLowerCase().includes(other.toLocaleLowerCase()),
+	};
+	static #characterClasses = {
+		digit: /\p{Nd}/u,
+		letter: /\p{L}/u,
+		lower: /\p{Ll}/u,
+		upper: /\p{Lu}/u,
+		symbol: /[\p{P}\p{S}]/u,
+		space: /\s/u,
+	};
+	static #valueAdapters = {
+		choice: (field, members) => {
+			const selected = members
+				.filter((member) => member.checked)
+				.map((member) => member.value);
+			return { value: selected.join(', '), selected };
+		},
+		select: (field) => {
+			const selected = Array.from(field.options)
+				.filter((option) => option.selected && option.value !== '')
+				.map((option) => option.value);
+			return { value: selected.join(', '), selected };
+		},
+		editable: (field) => ({ value: field.textContent || '', selected: [] }),
+		text: (field) => ({ value: field.value || '', selected: [] }),
+	};
+	static #controlSelector = [
+		'input:not([type="hidden"]):not([type="submit"]):not([type="reset"]):not([type="button"]):not([type="image"])',
+		'textarea',
+		'select',
+		'[contenteditable]:not([contenteditable="false"])',
+	].join(', ');
+	// Native constraints, checked against the field's validity flags. Length
+	// limits are counted here because browsers only flag tooShort and tooLong
+	// after the user edits the value.
+	static #autoRules = {
+		required: {
+			applies: (field) => field.hasAttribute('required'),
+			test: (field) => !field.validity || !field.validity.valueMissing,
+		},
+		minlength: {
+			applies: (field) => field.hasAttribute('minlength'),
+			test: (field, value) => {
+				const limit = FormValidationListElement.#parseCount(
+					field.getAttribute('minlength'),
+				);
+				return (
+					limit === null ||
+					value.length === 0 ||
+					value.length >= limit
+				);
+			},
+		},
+		maxlength: {
+			applies: (field) => field.hasAttribute('maxlength'),
+			test: (field, value) => {
+				const limit = FormValidationListElement.#parseCount(
+					field.getAttribute('maxlength'),
+				);
+				return limit === null || value.length <= limit;
+			},
+		},
+		pattern: {
+			applies: (field) => field.hasAttribute('pattern'),
+			test: (field) => !field.validity || !field.validity.patternMismatch,
+		},
+		email: {
+			applies: (field) => field.type === 'email',
+			test: (field) => !field.validity || !field.validity.typeMismatch,
+		},
+		min: {
+			applies: (field) => field.hasAttribute('min'),
+			test: (field) => !field.validity || !field.validity.rangeUnderflow,
+		},
+		max: {
+			applies: (field) => field.hasAttribute('max'),
+			test: (field) => !field.validity || !field.validity.rangeOverflow,
+		},
+	};
+	static #messageCatalogs = new Map([
+		[
+			'en',
+			{
+				announcement: 'Criteria met: {matched} of {total}',
+				'validation-message':
+					'Please match all validation requirements ({matched} of {total})',
+				'rule-matched-alt': 'Criteria met',
+				'rule-unmatched-alt': 'Criteria not met',
+				'rule-pending-alt': 'Checking',
+				'strength-labels': 'Weak, Fair, Strong',
+				'strength-meter-label': 'Strength',
+				'auto-rule-required': 'Required',
+				'auto-rule-minlength':
+					'At least {value, plural, one {# character} other {# characters}}',
+				'auto-rule-maxlength':
+					'At most {value, plural, one {# character} other {# characters}}',
+				'auto-rule-pattern': 'Matches the requested format',
+				'auto-rule-email': 'A valid email address',
+				'auto-rule-min': 'No less than {value}',
+				'auto-rule-max': 'No more than {value}',
+				'announce-now-met': 'Now met: {rules}.',
+				'announce-no-longer-met': 'No longer met: {rules}.',
+				'summary-heading': 'There is a problem',
+			},
+		],
+	]);
+	static #constraintAttributes = [
+		'required',
+		'minlength',
+		'maxlength',
+		'pattern',
+		'type',
+		'min',
+		'max',
+		'title',
+	];
+	static #graphemeSegmenter = null;
+	static #ruleRegistry = new Map();
+	static #pending = Symbol('pending');
+	static #internalsWarningShown = false;
+	static #allowedPatternFlags = new Set(['i', 's', 'u', 'v']);
+	static #triggerEvents = ['input', 'blur', 'change', 'submit', 'hybrid'];
+	// Fields blurred (hybrid) or submitted (hybrid and submit) since their
+	// form was last reset, shared by every list bound to the field
+	static #interactedFields = new WeakSet();
+	// Forms whose submit button was activated or Enter pressed in one of
+	// their inputs during the current task
+	static #submittingForms = new WeakSet();
+	static #submitWatcherInstalled = false;
 	static #normalizeTriggerEvent(value) {
-		return value === 'blur' ? 'blur' : 'input';
+		return FormValidationListElement.#triggerEvents.includes(value)
+			? value
+			: 'input';
+	}
+	static #announceModes = ['summary', 'changes', 'verbose', 'off'];
+	static #interactionStates = ['pristine', 'dirty', 'touched'];
+	static #normalizers = {
+		trim: (value) => value.trim(),
+		nfc: (value) => value.normalize('NFC'),
+		nfd: (value) => value.normalize('NFD'),
+		nfkc: (value) => value.normalize('NFKC'),
+		nfkd: (value) => value.normalize('NFKD'),
+		lowercase: (value) => value.toLowerCase(),
+		uppercase: (value) => value.toUpperCase(),
+		collapse: (value) => value.replace(/\s+/g, ' '),
+		nospace: (value) => value.replace(/\s+/g, ''),
+	};
+	static #normalizeAnnounce(value) {
+		return FormValidationListElement.#announceModes.includes(value)
+			? value
+			: 'summary';
+	}
+
+	static #normalizeValidityMode(value) {
+		return value === 'internals' ? 'internals' : 'field';
+	}
+
+	/**
+	 * Register a named validator for use with `data-rule` attributes
+	 * @public
+	 * @param {string} name - The name referenced by `data-rule`
+	 * @param {(value: string, context: object) => boolean | Promise<boolean>} validator - Receives the field
+	 *   value and a context of `{ element, field, list, selected, params, signal }` and returns (or resolves to) whether
+	 *   the rule is met
+	 */
+	static registerRule(name, validator) {
+		const normalized =
+			name === null || name === undefined ? '' : String(name).trim();
+		if (!normalized) {
+			throw new TypeError(
+				'form-validation-list: Rule name must be a non-empty string',
+			);
+		}
+		if (typeof validator !== 'function') {
+			throw new TypeError(
+				`form-validation-list: Validator for rule "${normalized}" must be a function`,
+			);
+		}
+		FormValidationListElement.#ruleRegistry.set(normalized, validator);
+	}
+
+	/**
+	 * Register (or extend) the message catalog for a locale
+	 * @public
+	 * @param {string} locale - A language tag such as "fr" or "pt-BR"; lists use the catalog matching the closest
+	 *   `lang` attribute, then its base language, then English
+	 * @param {Record<string, string>} messages - Templates keyed by attribute name (e.g. "announcement",
+	 *   "validation-message", "rule-matched-alt") or "auto-rule-<constraint>"; templates may use ICU-style plurals
+	 *   such as `{matched, plural, one {# rule} other {# rules}}`
+	 */
+	static registerMessages(locale, messages) {
+		const normalized =
+			locale === null || locale === undefined
+				? ''
+				: String(locale).trim().toLowerCase();
+		if (!normalized) {
+			throw new TypeError(
+				'form-validation-list: Locale must be a non-empty string',
+			);
+		}
+		if (!messages || typeof messages !== 'object') {
+			throw new TypeError(
+				`form-validation-list: Messages for locale "${normalized}" must be an object`,
+			);
+		}
+		FormValidationListElement.#messageCatalogs.set(normalized, {
+			...FormValidationListElement.#messageCatalogs.get(normalized),
+			...messages,
+		});
+	}
+
+	/**
+	 * Get a field's accessible name, as used for the `{label}` placeholder and by form-validation-summary
+	 * @public
+	 * @param {Element} field - The field to name
+	 * @returns {string} Its `aria-label`, `aria-labelledby` text, fieldset legend (for checkbox and radio groups),
+	 *   `<label>` or `title`, or an empty string
+	 */
+	static getFieldLabel(field) {
+		const ariaLabel = field.getAttribute('aria-label');
+		if (ariaLabel && ariaLabel.trim()) {
+			return ariaLabel.trim();
+		}
+		const labelledBy = FormValidationListElement.#parseIdRefs(
+			field.getAttribute('aria-labelledby'),
+		)
+			.map((id) => FormValidationListElement.#findElementById(field, id))
+			.filter(Boolean);
+		if (labelledBy.length > 0) {
+			return labelledBy
+				.map((element) =>
+					element.textContent.replace(/\s+/g, ' ').trim(),
+				)
+				.join(' ');
+		}
+		// Checkbox and radio groups are named by their fieldset
+		if (field.type === 'checkbox' || field.type === 'radio') {
+			const fieldset = field.closest('fieldset');
+			const legend = fieldset && fieldset.querySelector('legend');
+			if (legend) {
+				return legend.textContent.replace(/\s+/g, ' ').trim();
+			}
+		}
+		const [label] = field.labels || [];
+		if (label) {
+			return label.textContent.replace(/\s+/g, ' ').trim();
+		}
+		return (field.getAttribute('title') || '').trim();
+	}
+
+	/**
+	 * Check whether the user is submitting a form, to tell a blocked submit from a `checkValidity()` call
+	 * @public
+	 * @param {HTMLFormElement} form - The form to check
+	 * @returns {boolean} Whether one of the form's submit buttons was activated, or Enter pressed in one of its inputs,
+	 *   during the current task
+	 */
+	static isSubmitting(form) {
+		return FormValidationListElement.#submittingForms.has(form);
 	}
 
 	static get observedAttributes() {
 		return [
 			'for',
+			'for-name',
 			'trigger-event',
 			'input-throttle',
 			'each-delay',
@@ -46,12 +398,26 @@ export class FormValidationListElement extends HTMLElement {
 			'field-valid-class',
 			'rule-unmatched-class',
 			'rule-matched-class',
+			'rule-pending-class',
+			'rule-error-class',
+			'rule-emphasis-class',
 			'rule-matched-icon',
 			'rule-unmatched-icon',
+			'rule-pending-icon',
 			'rule-matched-alt',
 			'rule-unmatched-alt',
+			'rule-pending-alt',
 			'announcement',
+			'announce',
+			'normalize',
 			'validation-message',
+			'auto-rules',
+			'intercept-submit',
+			'validity-mode',
+			'strength-thresholds',
+			'strength-labels',
+			'strength-meter',
+			'strength-meter-label',
 		];
 	}
 
@@ -82,7 +448,7 @@ export class FormValidationListElement extends HTMLElement {
 				color: var(--rule-unmatched-color, var(--validation-unmatched-color, red));
 			}
 
-			form-validation-list [data-pattern].validation-matched > .form-validation-list-rule-icon::before {
+			form-validation-list .validation-matched > .form-validation-list-rule-icon::before {
 				content: var(
 					--form-validation-list-rule-matched-icon,
 					var(--rule-matched-icon, var(--validation-icon-matched, "✓"))
@@ -90,6 +456,14 @@ export class FormValidationListElement extends HTMLElement {
 				color: var(--rule-matched-color, var(--validation-matched-color, green));
 			}
 
+			form-validation-list .validation-pending > .form-validation-list-rule-icon::before {
+				content: var(
+					--form-validation-list-rule-pending-icon,
+					var(--rule-pending-icon, "…")
+				);
+				color: var(--rule-pending-color, gray);
+			}
+
 			.form-validation-list-rule-state {
 				clip: rect(0 0 0 0);
 				clip-path: inset(50%);
@@ -102,6 +476,10 @@ export class FormValidationListElement extends HTMLElement {
 				width: 1px;
 			}
 
+			form-validation-list .validation-emphasis {
+				font-weight: bold;
+			}
+
 			.form-validation-list-live-region {
 				clip: rect(0 0 0 0);
 				clip-path: inset(50%);
@@ -117,6 +495,52 @@ export class FormValidationListElement extends HTMLElement {
 		FormValidationListElement.#stylesInjected = true;
 	}
 
+	static #watchSubmitAttempts() {
+		if (FormValidationListElement.#submitWatcherInstalled) {
+			return;
+		}
+
+		// A blocked submit fires invalid just like checkValidity() does, so
+		// note the submit attempt that precedes it; the browser validates
+		// within the same task, and the mark is dropped once that ends
+		const mark = (form) => {
+			const forms = FormValidationListElement.#submittingForms;
+			if (!form || forms.has(form)) return;
+			forms.add(form);
+			setTimeout(() => forms.delete(form), 0);
+		};
+		document.addEventListener(
+			'click',
+			(event) => {
+				const [target] = event.composedPath();
+				const submitter =
+					target instanceof Element &&
+					target.closest('button, input');
+				if (
+					submitter &&
+					(submitter.type === 'submit' || submitter.type === 'image')
+				) {
+					mark(submitter.form);
+				}
+			},
+			true,
+		);
+		document.addEventListener(
+			'keydown',
+			(event) => {
+				const [target] = event.composedPath();
+				if (
+					event.key === 'Enter' &&
+					target instanceof HTMLInputElement
+				) {
+					mark(target.form);
+				}
+			},
+			true,
+		);
+		FormValidationListElement.#submitWatcherInstalled = true;
+	}
+
 	static #generateId() {
 		return `form-validation-list-${Math.random().toString(36).substr(2, 9)}`;
 	}
@@ -125,27 +549,60 @@ export class FormValidationListElement extends HTMLElement {
 		super();
 		// Use light DOM instead of shadow DOM
 		this._field = null;
+		this._fieldElement = null;
+		this._fieldMembers = [];
+		this._fieldKind = 'text';
 		this._rules = [];
+		this._groups = [];
 		this._validationHandler = null;
 		this._isValid = false;
 		this._validClasses = null;
 		this._invalidClasses = null;
 		this._matchedClasses = null;
 		this._unmatchedClasses = null;
+		this._pendingClasses = null;
+		this._errorClasses = null;
+		this._emphasisClasses = null;
 		this._pendingTimeouts = new Set();
 		this._pendingInputThrottleTimeout = null;
 		this._pendingBlurRestoreTimeout = null;
+		this._pendingRulesWarningTimeout = null;
 		this._currentTriggerEvent = null;
 		this._liveRegion = null;
 		this._blurHandler = null;
 		this._describedBySuspended = false;
 		this._describedByTargetId = null;
 		this._hasValue = false;
+		this._referencedFields = [];
+		this._referenceHandler = null;
+		this._ruleObserver = null;
+		this._fieldObserver = null;
+		this._ruleDefinitions = new Map();
+		this._strengthScore = 0;
+		this._strengthMeter = null;
+		this._internals = null;
+		this._trackedForm = null;
+		this._invalidHandler = null;
+		this._submitHandler = null;
+		this._resetHandler = null;
+		this._interactionHandler = null;
+		this._dirty = false;
+		this._touched = false;
+		this._unmetElements = [];
+		this._matchedRules = 0;
+		this._totalRules = 0;
+		this._ruleStates = new Map();
+		this._results = [];
+		this._reportedValidity = null;
+		this._generatedAutoRules = new Set();
+		this._constraintObserver = null;
 	}
 
 	connectedCallback() {
 		this.__upgradeProperty('for');
 		this.__upgradeProperty('fieldId');
+		this.__upgradeProperty('forName');
+		this.__upgradeProperty('field');
 		this.__upgradeProperty('triggerEvent');
 		this.__upgradeProperty('inputThrottle');
 		this.__upgradeProperty('eachDelay');
@@ -153,13 +610,29 @@ export class FormValidationListElement extends HTMLElement {
 		this.__upgradeProperty('fieldValidClass');
 		this.__upgradeProperty('ruleUnmatchedClass');
 		this.__upgradeProperty('ruleMatchedClass');
+		this.__upgradeProperty('rulePendingClass');
+		this.__upgradeProperty('ruleErrorClass');
+		this.__upgradeProperty('ruleEmphasisClass');
 		this.__upgradeProperty('ruleMatchedIcon');
 		this.__upgradeProperty('ruleUnmatchedIcon');
+		this.__upgradeProperty('rulePendingIcon');
 		this.__upgradeProperty('ruleMatchedAlt');
 		this.__upgradeProperty('ruleUnmatchedAlt');
+		this.__upgradeProperty('rulePendingAlt');
 		this.__upgradeProperty('announcement');
+		this.__upgradeProperty('announce');
+		this.__upgradeProperty('normalization');
 		this.__upgradeProperty('validationMessage');
+		this.__upgradeProperty('autoRules');
+		this.__upgradeProperty('interceptSubmit');
+		this.__upgradeProperty('validityMode');
+		this.__upgradeProperty('strengthThresholds');
+		this.__upgradeProperty('strengthLabels');
+		this.__upgradeProperty('strengthMeter');
+		this.__upgradeProperty('strengthMeterLabel');
+		this.__upgradeProperty('rules');
 		FormValidationListElement.#injectStyles();
+		FormValidationListElement.#watchSubmitAttempts();
 		this._setupValidation();
 	}
 
@@ -174,15 +647,15 @@ export class FormValidationListElement extends HTMLElement {
 
 		switch (name) {
 			case 'for':
+			case 'for-name':
 				if (this.isConnected) {
 					this._cleanup();
 					this._setupValidation();
 				}
 				break;
 			case 'validation-message':
-				if (this._field) {
-					this._validateField();
-				}
+			case 'normalize':
+				this._revalidate();
 				break;
 			case 'trigger-event':
 				if (newValue !== null) {
@@ -198,19 +671,15 @@ export class FormValidationListElement extends HTMLElement {
 						break;
 					}
 				}
-				this.__rebindValidationHandler(oldValue);
+				this.__rebindValidationHandler();
 				break;
 			case 'input-throttle':
 				this._clearPendingInputThrottle();
-				if (this._field) {
-					this._validateField();
-				}
+				this._revalidate();
 				break;
 			case 'each-delay':
 				this._clearPendingTimeouts();
-				if (this._field) {
-					this._validateField();
-				}
+				this._revalidate();
 				break;
 			case 'field-invalid-class':
 				this.__handleFieldClassChange(
@@ -240,15 +709,55 @@ export class FormValidationListElement extends HTMLElement {
 					'_matchedClasses',
 				);
 				break;
+			case 'rule-pending-class':
+				this.__handleRuleClassChange(
+					oldValue,
+					'validation-pending',
+					'_pendingClasses',
+				);
+				break;
+			case 'rule-error-class':
+				this.__handleRuleErrorClassChange(oldValue);
+				break;
+			case 'rule-emphasis-class':
+				this.__handleRuleEmphasisClassChange(oldValue);
+				break;
+			case 'auto-rules':
+				if (this._field) {
+					this._teardownConstraintObserver();
+					this._observeConstraints();
+					this._syncRenderedRules(this._syncAutoRules());
+				}
+				break;
 			case 'rule-matched-icon':
 			case 'rule-unmatched-icon':
+			case 'rule-pending-icon':
 			case 'rule-matched-alt':
 			case 'rule-unmatched-alt':
+			case 'rule-pending-alt':
 				this._updateRulePresentation();
 				break;
+			case 'validity-mode':
+				if (this._field) {
+					this._clearValidity();
+					this._updateInteractionState();
+					this._revalidate();
+				}
+				break;
+			case 'strength-thresholds':
+			case 'strength-labels':
+			case 'strength-meter':
+			case 'strength-meter-label':
+				if (this._field) {
+					this._updateStrengthMeter();
+				}
+				break;
 			case 'announcement':
 				// No immediate action needed; next validation pass will use new template
 				break;
+			case 'intercept-submit':
+				// No immediate action needed; read on each submit
+				break;
 			default:
 				break;
 		}
@@ -274,6 +783,40 @@ export class FormValidationListElement extends HTMLElement {
 		}
 	}
 
+	get forName() {
+		return this.getAttribute('for-name');
+	}
+
+	set forName(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('for-name');
+		} else {
+			this.setAttribute('for-name', String(value));
+		}
+	}
+
+	/**
+	 * Get the field being validated
+	 * @public
+	 * @returns {HTMLElement | null}
+	 */
+	get field() {
+		return this._field || this._fieldElement;
+	}
+
+	/**
+	 * Validate the given element, taking precedence over `for-name` and `for`; set to null to use them again
+	 * @public
+	 * @param {HTMLElement | null} element
+	 */
+	set field(element) {
+		this._fieldElement = element || null;
+		if (this.isConnected) {
+			this._cleanup();
+			this._setupValidation();
+		}
+	}
+
 	// Getters for configuration with cached class names
 	get triggerEvent() {
 		return FormValidationListElement.#normalizeTriggerEvent(
@@ -402,6 +945,76 @@ export class FormValidationListElement extends HTMLElement {
 		}
 	}
 
+	get rulePendingClass() {
+		if (this._pendingClasses === null) {
+			const attr = this.getAttribute('rule-pending-class');
+			this._pendingClasses = attr || 'validation-pending';
+		}
+		return this._pendingClasses;
+	}
+
+	set rulePendingClass(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value).trim();
+		if (normalized) {
+			this.setAttribute('rule-pending-class', normalized);
+		} else {
+			this.removeAttribute('rule-pending-class');
+		}
+	}
+
+	get ruleErrorClass() {
+		if (this._errorClasses === null) {
+			const attr = this.getAttribute('rule-error-class');
+			this._errorClasses = attr || 'validation-error';
+		}
+		return this._errorClasses;
+	}
+
+	set ruleErrorClass(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value).trim();
+		if (normalized) {
+			this.setAttribute('rule-error-class', normalized);
+		} else {
+			this.removeAttribute('rule-error-class');
+		}
+	}
+
+	get ruleEmphasisClass() {
+		if (this._emphasisClasses === null) {
+			const attr = this.getAttribute('rule-emphasis-class');
+			this._emphasisClasses = attr || 'validation-emphasis';
+		}
+		return this._emphasisClasses;
+	}
+
+	set ruleEmphasisClass(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value).trim();
+		if (normalized) {
+			this.setAttribute('rule-emphasis-class', normalized);
+		} else {
+			this.removeAttribute('rule-emphasis-class');
+		}
+	}
+
+	get autoRules() {
+		return this.hasAttribute('auto-rules');
+	}
+
+	set autoRules(value) {
+		this.toggleAttribute('auto-rules', Boolean(value));
+	}
+
+	get interceptSubmit() {
+		return this.hasAttribute('intercept-submit');
+	}
+
+	set interceptSubmit(value) {
+		this.toggleAttribute('intercept-submit', Boolean(value));
+	}
+
 	get validationMessage() {
 		return this.getAttribute('validation-message');
 	}
@@ -444,9 +1057,23 @@ export class FormValidationListElement extends HTMLElement {
 		}
 	}
 
+	get rulePendingIcon() {
+		return this.getAttribute('rule-pending-icon');
+	}
+
+	set rulePendingIcon(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value);
+		if (normalized) {
+			this.setAttribute('rule-pending-icon', normalized);
+		} else {
+			this.removeAttribute('rule-pending-icon');
+		}
+	}
+
 	get ruleMatchedAlt() {
 		const attr = this.getAttribute('rule-matched-alt');
-		return attr !== null ? attr : 'Criteria met';
+		return attr !== null ? attr : this._getMessage('rule-matched-alt');
 	}
 
 	set ruleMatchedAlt(value) {
@@ -461,7 +1088,7 @@ export class FormValidationListElement extends HTMLElement {
 
 	get ruleUnmatchedAlt() {
 		const attr = this.getAttribute('rule-unmatched-alt');
-		return attr !== null ? attr : 'Criteria not met';
+		return attr !== null ? attr : this._getMessage('rule-unmatched-alt');
 	}
 
 	set ruleUnmatchedAlt(value) {
@@ -474,9 +1101,24 @@ export class FormValidationListElement extends HTMLElement {
 		}
 	}
 
+	get rulePendingAlt() {
+		const attr = this.getAttribute('rule-pending-alt');
+		return attr !== null ? attr : this._getMessage('rule-pending-alt');
+	}
+
+	set rulePendingAlt(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value);
+		if (normalized) {
+			this.setAttribute('rule-pending-alt', normalized);
+		} else {
+			this.removeAttribute('rule-pending-alt');
+		}
+	}
+
 	get announcement() {
 		const attr = this.getAttribute('announcement');
-		return attr !== null ? attr : 'Criteria met: {matched} of {total}';
+		return attr !== null ? attr : this._getMessage('announcement');
 	}
 
 	set announcement(value) {
@@ -489,6 +1131,169 @@ export class FormValidationListElement extends HTMLElement {
 		}
 	}
 
+	get announce() {
+		return FormValidationListElement.#normalizeAnnounce(
+			this.getAttribute('announce'),
+		);
+	}
+
+	set announce(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value).trim();
+		if (normalized) {
+			this.setAttribute(
+				'announce',
+				FormValidationListElement.#normalizeAnnounce(normalized),
+			);
+		} else {
+			this.removeAttribute('announce');
+		}
+	}
+
+	get validityMode() {
+		return FormValidationListElement.#normalizeValidityMode(
+			this.getAttribute('validity-mode'),
+		);
+	}
+
+	set validityMode(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value).trim();
+		if (normalized) {
+			this.setAttribute(
+				'validity-mode',
+				FormValidationListElement.#normalizeValidityMode(normalized),
+			);
+		} else {
+			this.removeAttribute('validity-mode');
+		}
+	}
+
+	get strengthThresholds() {
+		const attr = this.getAttribute('strength-thresholds');
+		const parsed =
+			attr === null
+				? []
+				: attr
+						.trim()
+						.split(/[\s,]+/)
+						.filter(Boolean)
+						.map(Number);
+		return parsed.length > 0 &&
+			parsed.every((value) => Number.isFinite(value))
+			? parsed.sort((a, b) => a - b)
+			: [0.5, 0.8];
+	}
+
+	set strengthThresholds(value) {
+		const normalized = Array.isArray(value)
+			? value.join(' ')
+			: value === null || value === undefined
+				? ''
+				: String(value).trim();
+		if (normalized) {
+			this.setAttribute('strength-thresholds', normalized);
+		} else {
+			this.removeAttribute('strength-thresholds');
+		}
+	}
+
+	get strengthLabels() {
+		const parse = (value) =>
+			value
+				.split(',')
+				.map((label) => label.trim())
+				.filter(Boolean);
+		const attr = this.getAttribute('strength-labels');
+		const parsed = attr === null ? [] : parse(attr);
+		return parsed.length > 0
+			? parsed
+			: parse(this._getMessage('strength-labels'));
+	}
+
+	set strengthLabels(value) {
+		const normalized = Array.isArray(value)
+			? value.join(', ')
+			: value === null || value === undefined
+				? ''
+				: String(value).trim();
+		if (normalized) {
+			this.setAttribute('strength-labels', normalized);
+		} else {
+			this.removeAttribute('strength-labels');
+		}
+	}
+
+	// Exposed as normalization because normalize() is a DOM method
+	get normalization() {
+		const attr = this.getAttribute('normalize');
+		return attr === null
+			? []
+			: attr
+					.split(/\s+/)
+					.map((step) => step.toLowerCase())
+					.filter((step) =>
+						Object.hasOwn(
+							FormValidationListElement.#normalizers,
+							step,
+						),
+					);
+	}
+
+	set normalization(value) {
+		const normalized = Array.isArray(value)
+			? value.join(' ')
+			: value === null || value === undefined
+				? ''
+				: String(value).trim();
+		if (normalized) {
+			this.setAttribute('normalize', normalized);
+		} else {
+			this.removeAttribute('normalize');
+		}
+	}
+
+	get strengthMeter() {
+		return this.hasAttribute('strength-meter');
+	}
+
+	set strengthMeter(value) {
+		this.toggleAttribute('strength-meter', Boolean(value));
+	}
+
+	get strengthMeterLabel() {
+		const attr = this.getAttribute('strength-meter-label');
+		return attr !== null ? attr : this._getMessage('strength-meter-label');
+	}
+
+	set strengthMeterLabel(value) {
+		const normalized =
+			value === null || value === undefined ? '' : String(value);
+		if (normalized) {
+			this.setAttribute('strength-meter-label', normalized);
+		} else {
+			this.removeAttribute('strength-meter-label');
+		}
+	}
+
+	get rules() {
+		return this.getRules();
+	}
+
+	set rules(value) {
+		const definitions = Array.isArray(value) ? value : [];
+		definitions.forEach(FormValidationListElement.#assertRuleDefinition);
+		const list = this._getRuleContainer();
+		for (const element of this._queryRuleElements()) {
+			element.remove();
+		}
+		this._ruleDefinitions.clear();
+		const rendered = definitions.map((definition) =>
+			this._renderRule(definition, list),
+		);
+		this._syncRenderedRules(rendered);
+	}
+
 	__upgradeProperty(prop) {
 		if (Object.prototype.hasOwnProperty.call(this, prop)) {
 			const value = this[prop];
@@ -499,41 +1304,61 @@ export class FormValidationListElement extends HTMLElement {
 
 	_setupValidation() {
 		this._clearPendingTimeouts();
-		const fieldId = this.fieldId;
-		if (!fieldId) return;
+
+		// Bind again whenever the field appears or is replaced
+		this._observeField();
 
 		// Find the field
-		this._field = document.getElementById(fieldId);
+		this._field = this._resolveField();
 		if (!this._field) {
-			console.warn(
-				`form-validation-list: Could not find field with id="${fieldId}"`,
-			);
 			return;
 		}
+		this._fieldKind = FormValidationListElement.#getFieldKind(this._field);
+		this._fieldMembers = FormValidationListElement.#getFieldMembers(
+			this._field,
+		);
 
 		this._isValid = false;
 
-		// Find all rules (elements with data-pattern attribute)
-		this._rules = Array.from(this.querySelectorAll('[data-pattern]')).map(
-			(element) => ({
+		// Generate rules for the field's native constraints
+		this._syncAutoRules();
+		this._observeConstraints();
+
+		// Keep the rule list in sync as items are added, removed, or edited
+		this._observeRules();
+
+		// Find all rules (elements with data-pattern or other rule attributes)
+		this._rules = this._queryRuleElements().map((element) =>
+			FormValidationListElement.#createRule(
 				element,
-				pattern: element.getAttribute('data-pattern'),
-				regex: new RegExp(element.getAttribute('data-pattern')),
-			}),
+				this._ruleDefinitions.get(element.dataset.id),
+			),
 		);
 
 		if (this._rules.length === 0) {
-			console.warn(
-				'form-validation-list: No rules found with data-pattern attribute',
-			);
+			// Rules parsed or set after connecting arrive through the rule
+			// observer; only warn if none have by the next task
+			this._pendingRulesWarningTimeout = setTimeout(() => {
+				this._pendingRulesWarningTimeout = null;
+				console.warn(
+					'form-validation-list: No rules found with data-pattern or other rule attributes',
+				);
+			}, 0);
 			return;
 		}
 
+		// Flag rules whose pattern failed to compile; they stay unmatched
+		// while the remaining rules keep working.
+		this._rules.forEach((rule) => this._reportRuleError(rule));
+
+		// Collect "N of M" groups; each counts as a single rule
+		this._groups = this._buildGroups();
+
 		// Set up ARIA relationship
 		this._setupAccessibility();
 
 		// Only add aria-atomic to list items; live announcements go through the live region
-		this._rules.forEach(({ element }) => {
+		this._getPresentedRules().forEach(({ element }) => {
 			FormValidationListElement.#ensureRulePresentation(element);
 			element.setAttribute('aria-atomic', 'true');
 		});
@@ -550,17 +1375,31 @@ export class FormValidationListElement extends HTMLElement {
 		// Sync icon glyphs and rule state text for this instance
 		this._updateRulePresentation();
 
+		// Render the optional strength meter ahead of the live region
+		this._updateStrengthMeter();
+
+		// Re-validate when fields referenced by cross-field rules change
+		this._setupReferencedFields();
+
 		// Attach blur handler to restore aria-describedby
 		if (!this._blurHandler) {
 			this._blurHandler = () => {
+				if (!this._touched) {
+					this._touched = true;
+					this._updateInteractionState();
+				}
+
 				// Cancel any pending throttle / per-rule delay timeouts and run
 				// a final synchronous validation (without live announcement)
 				// so rule state is up-to-date before restoring aria-describedby.
 				this._clearPendingInputThrottle();
 				this._clearPendingTimeouts();
-				if (this._field) {
+				if (this._field && this.triggerEvent !== 'submit') {
 					this._validateField();
 				}
+				if (this.triggerEvent === 'hybrid') {
+					this._markFieldInteracted();
+				}
 
 				if (this._liveRegion) {
 					this._liveRegion.textContent = '';
@@ -572,8 +1411,26 @@ export class FormValidationListElement extends HTMLElement {
 					this._restoreDescribedBy();
 				}, FormValidationListElement.#describedByRestoreDelay);
 			};
-			this._field.addEventListener('blur', this._blurHandler);
+			for (const member of this._fieldMembers) {
+				member.addEventListener('blur', this._blurHandler);
+			}
+		}
+
+		// Typing or picking a value marks the field dirty; listen ahead of
+		// validation so the validated event sees the new state
+		if (!this._interactionHandler) {
+			this._interactionHandler = () => {
+				if (!this._dirty) {
+					this._dirty = true;
+					this._updateInteractionState();
+				}
+			};
+			for (const member of this._fieldMembers) {
+				member.addEventListener('input', this._interactionHandler);
+				member.addEventListener('change', this._interactionHandler);
+			}
 		}
+		this._updateInteractionState();
 
 		// Create validation handler
 		if (!this._validationHandler) {
@@ -582,18 +1439,683 @@ export class FormValidationListElement extends HTMLElement {
 			};
 		}
 
-		// Attach event listener
-		this._currentTriggerEvent = this.triggerEvent;
-		this._field.addEventListener(
-			this._currentTriggerEvent,
-			this._validationHandler,
-		);
+		// Attach event listener to every member of the field
+		this._bindTriggerEvent();
 
-		// Run initial validation if field has a value
-		if (this._field.value) {
-			this._validateField();
+		// Follow submits for the trigger mode and intercept-submit
+		this._setupFormTracking();
+
+		// Run initial validation if field has a value, unless failures
+		// should wait for the user to leave the field or submit
+		if (this._readFieldValue().hasValue) {
+			this._revalidate();
 		}
-	}
+
+		this.dispatchEvent(
+			new CustomEvent('form-validation-list:field-connected', {
+				bubbles: true,
+				composed: true,
+				detail: { field: this._field },
+			}),
+		);
+	}
+
+	_resolveField(warn = true) {
+		if (this._fieldElement) {
+			return this._fieldElement;
+		}
+
+		const fieldName = this.forName;
+		if (fieldName) {
+			// Scope by form so a template rendered several times binds each
+			// list to its own copy of the field
+			const form = this.closest('form');
+			const candidates = form
+				? Array.from(form.elements)
+				: Array.from(this.getRootNode().querySelectorAll('[name]'));
+			const field = candidates.find(
+				(candidate) => candidate.getAttribute('name') === fieldName,
+			);
+			if (!field && warn) {
+				console.warn(
+					`form-validation-list: Could not find field with name="${fieldName}"`,
+				);
+			}
+			return field || null;
+		}
+
+		const fieldId = this.fieldId;
+		if (!fieldId) {
+			return this._discoverField(warn);
+		}
+		const field = FormValidationListElement.#findElementById(this, fieldId);
+		if (!field && warn) {
+			console.warn(
+				`form-validation-list: Could not find field with id="${fieldId}"`,
+			);
+		}
+		return field;
+	}
+
+	_discoverField(warn = true) {
+		// Without a reference, wrap the single form control inside this
+		// element, skipping rule markup, generated markup, and nested lists
+		const candidates = Array.from(
+			this.querySelectorAll(FormValidationListElement.#controlSelector),
+		).filter(
+			(control) =>
+				control.closest(this.localName) === this &&
+				!control.closest(FormValidationListElement.#ruleSelector) &&
+				!control.closest('[data-require]') &&
+				!control.closest('.form-validation-list-live-region'),
+		);
+		if (candidates.length === 0) {
+			return null;
+		}
+
+		// A checkbox or radio group counts as one control
+		const [field] = candidates;
+		const members = FormValidationListElement.#getFieldMembers(field);
+		if (candidates.some((control) => !members.includes(control))) {
+			if (warn) {
+				console.warn(
+					`form-validation-list: Found ${candidates.length} form controls inside the element; use "for" or "for-name" to choose one`,
+				);
+			}
+			return null;
+		}
+		return field;
+	}
+
+	_observeField() {
+		// An element assigned to the field property is bound as-is
+		if (
+			this._fieldObserver ||
+			this._fieldElement ||
+			typeof MutationObserver === 'undefined'
+		) {
+			return;
+		}
+		this._fieldObserver = new MutationObserver((mutations) => {
+			// Only look the field up again for mutations that could change it
+			if (
+				!mutations.some((mutation) => this._isFieldMutation(mutation))
+			) {
+				return;
+			}
+			const field = this._resolveField(false);
+			if (field !== this._field) {
+				this._rebindField(field);
+			}
+		});
+		this._fieldObserver.observe(this.getRootNode(), {
+			childList: true,
+			subtree: true,
+			attributes: true,
+			attributeFilter: ['id', 'name'],
+		});
+	}
+
+	_isFieldMutation(mutation) {
+		const field = this._field;
+		const fieldName = this.forName;
+		const fieldId = fieldName ? null : this.fieldId;
+		const matches = (element) => {
+			if (fieldName) {
+				return element.getAttribute('name') === fieldName;
+			}
+			if (fieldId) {
+				return element.id === fieldId;
+			}
+			// Wrapping mode only cares about controls inside this element
+			return (
+				this.contains(element) &&
+				element.matches(FormValidationListElement.#controlSelector)
+			);
+		};
+
+		if (mutation.type === 'attributes') {
+			return mutation.target === field || matches(mutation.target);
+		}
+		if (
+			field &&
+			Array.from(mutation.removedNodes).some(
+				(node) => node === field || node.contains(field),
+			)
+		) {
+			return true;
+		}
+		const selector = fieldName
+			? '[name]'
+			: fieldId
+				? '[id]'
+				: FormValidationListElement.#controlSelector;
+		return Array.from(mutation.addedNodes).some(
+			(node) =>
+				node.nodeType === Node.ELEMENT_NODE &&
+				(matches(node) ||
+					Array.from(node.querySelectorAll(selector)).some(matches)),
+		);
+	}
+
+	_rebindField(field) {
+		// Carry validity classes over to a replacement node; validation
+		// replaces them as soon as the new node has a value
+		const previousClasses = [
+			this.fieldValidClass,
+			this.fieldInvalidClass,
+		].filter((className) =>
+			this._fieldMembers.some((member) =>
+				member.classList.contains(className),
+			),
+		);
+
+		this._cleanup();
+		if (!field) {
+			this._observeField();
+			return;
+		}
+		this._setupValidation();
+
+		if (this._field && !this._hasValue && previousClasses.length > 0) {
+			for (const member of this._fieldMembers) {
+				member.classList.add(...previousClasses);
+			}
+		}
+	}
+
+	_observeRules() {
+		if (this._ruleObserver || typeof MutationObserver === 'undefined') {
+			return;
+		}
+		this._ruleObserver = new MutationObserver((mutations) => {
+			const changedElements = new Set();
+			let listChanged = false;
+			for (const mutation of mutations) {
+				if (mutation.type === 'attributes') {
+					changedElements.add(mutation.target);
+				} else if (
+					[...mutation.addedNodes, ...mutation.removedNodes].some(
+						(node) => FormValidationListElement.#containsRule(node),
+					)
+				) {
+					listChanged = true;
+				}
+			}
+			if (listChanged || changedElements.size > 0) {
+				this._refreshRules(changedElements);
+			}
+		});
+		this._ruleObserver.observe(this, {
+			childList: true,
+			subtree: true,
+			attributes: true,
+			attributeFilter: [
+				...FormValidationListElement.#ruleAttributes,
+				'data-flags',
+				'data-severity',
+				'data-require',
+				'data-message',
+				'data-priority',
+			],
+		});
+	}
+
+	_syncAutoRules() {
+		const changedElements = [];
+		for (const [name, autoRule] of Object.entries(
+			FormValidationListElement.#autoRules,
+		)) {
+			const existing = this.querySelector(`[data-auto-rule="${name}"]`);
+			const generated = this._generatedAutoRules.has(existing);
+
+			// Authored items supply their own label and are never removed
+			if (existing && !generated) continue;
+
+			if (
+				!this.autoRules ||
+				!this._field ||
+				!autoRule.applies(this._field)
+			) {
+				if (existing) {
+					existing.remove();
+					this._generatedAutoRules.delete(existing);
+				}
+				continue;
+			}
+
+			const label = this._getAutoRuleLabel(name);
+			if (existing) {
+				if (
+					FormValidationListElement.#getRuleLabel(existing) !== label
+				) {
+					existing.textContent = label;
+					FormValidationListElement.#ensureRulePresentation(existing);
+					changedElements.push(existing);
+				}
+				continue;
+			}
+
+			const element = document.createElement('li');
+			element.setAttribute('data-auto-rule', name);
+			element.textContent = label;
+			FormValidationListElement.#ensureRulePresentation(element);
+			this._getRuleContainer().appendChild(element);
+			this._generatedAutoRules.add(element);
+			changedElements.push(element);
+		}
+		return changedElements;
+	}
+
+	_getAutoRuleLabel(name) {
+		if (name === 'pattern' && this._field.title) {
+			return this._field.title;
+		}
+		return this._formatMessage(this._getMessage(`auto-rule-${name}`), {
+			value: this._field.getAttribute(name) || '',
+		});
+	}
+
+	_observeConstraints() {
+		if (
+			this._constraintObserver ||
+			!this.autoRules ||
+			!this._field ||
+			typeof MutationObserver === 'undefined'
+		) {
+			return;
+		}
+		this._constraintObserver = new MutationObserver(() => {
+			this._syncRenderedRules(this._syncAutoRules());
+		});
+		this._constraintObserver.observe(this._field, {
+			attributes: true,
+			attributeFilter: FormValidationListElement.#constraintAttributes,
+		});
+	}
+
+	_teardownConstraintObserver() {
+		if (this._constraintObserver) {
+			this._constraintObserver.disconnect();
+			this._constraintObserver = null;
+		}
+	}
+
+	static #containsRule(node) {
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return false;
+		}
+		const selector = `${FormValidationListElement.#ruleSelector}, [data-id], [data-require]`;
+		return node.matches(selector) || node.querySelector(selector) !== null;
+	}
+
+	_queryRuleElements() {
+		const selector = FormValidationListElement.#ruleSelector;
+		return Array.from(
+			this.querySelectorAll(`${selector}, [data-id]`),
+		).filter(
+			(element) =>
+				element.matches(selector) ||
+				this._ruleDefinitions.has(element.dataset.id),
+		);
+	}
+
+	_refreshRules(changedElements = new Set()) {
+		if (!this._field) return;
+
+		// Setup stopped early because there were no rules; start over now
+		// that there are some.
+		if (this._rules.length === 0) {
+			this._cleanup();
+			this._setupValidation();
+			return;
+		}
+
+		this._clearPendingTimeouts();
+		const previousRules = new Map(
+			this._rules.map((rule) => [rule.element, rule]),
+		);
+		const elements = this._queryRuleElements();
+
+		this._rules = elements.map((element) => {
+			const previous = previousRules.get(element);
+			if (previous && !changedElements.has(element)) {
+				previousRules.delete(element);
+				return previous;
+			}
+			const rule = FormValidationListElement.#createRule(
+				element,
+				this._ruleDefinitions.get(element.dataset.id),
+			);
+			FormValidationListElement.#ensureRulePresentation(element);
+			element.setAttribute('aria-atomic', 'true');
+			this._reportRuleError(rule);
+			return rule;
+		});
+
+		// Drop state from rules that were removed or replaced
+		for (const [element, rule] of previousRules) {
+			rule.abort();
+			element.classList.remove(
+				this.ruleMatchedClass,
+				this.ruleUnmatchedClass,
+				this.rulePendingClass,
+			);
+			if (rule.error) {
+				element.classList.remove(this.ruleErrorClass);
+			}
+			if (this.contains(element) && !elements.includes(element)) {
+				FormValidationListElement.#removeRulePresentation(element);
+			}
+		}
+
+		// Rebuild groups, dropping state from ones that no longer exist
+		const previousGroups = this._groups;
+		this._groups = this._buildGroups();
+		for (const group of previousGroups) {
+			if (this._groups.some(({ element }) => element === group.element)) {
+				continue;
+			}
+			group.element.classList.remove(
+				this.ruleMatchedClass,
+				this.ruleUnmatchedClass,
+				this.rulePendingClass,
+			);
+			if (group.decorated && this.contains(group.element)) {
+				FormValidationListElement.#removeRulePresentation(
+					group.element,
+				);
+			}
+		}
+		for (const { element, decorated } of this._groups) {
+			if (decorated) {
+				FormValidationListElement.#ensureRulePresentation(element);
+				element.setAttribute('aria-atomic', 'true');
+			}
+		}
+
+		this._teardownReferencedFields();
+		this._setupReferencedFields();
+		this._updateRulePresentation();
+
+		if (this._readFieldValue().hasValue) {
+			this._revalidate();
+		}
+	}
+
+	_buildGroups() {
+		const groups = Array.from(this.querySelectorAll('[data-require]')).map(
+			(container) => {
+				const item = container.closest('li');
+				const element = item && this.contains(item) ? item : container;
+				return {
+					element,
+					container,
+					required: FormValidationListElement.#parseCount(
+						container.getAttribute('data-require'),
+					),
+					advisory:
+						FormValidationListElement.#isAdvisory(container) ||
+						FormValidationListElement.#isAdvisory(element),
+					// Lists can't hold the icon and state spans directly
+					decorated: !['UL', 'OL'].includes(element.tagName),
+					group: null,
+					depth: 0,
+				};
+			},
+		);
+
+		const findGroup = (node) => {
+			const container =
+				node.parentElement &&
+				node.parentElement.closest('[data-require]');
+			return (
+				(container &&
+					groups.find((group) => group.container === container)) ||
+				null
+			);
+		};
+
+		for (const group of groups) {
+			group.group = findGroup(group.element);
+		}
+		for (const group of groups) {
+			for (let parent = group.group; parent; parent = parent.group) {
+				group.depth++;
+			}
+		}
+		for (const rule of this._rules) {
+			rule.group = findGroup(rule.element);
+		}
+
+		// Innermost groups first so outer groups can count them
+		return groups.sort((a, b) => b.depth - a.depth);
+	}
+
+	static #isAdvisory(element) {
+		return element.getAttribute('data-severity') === 'advisory';
+	}
+
+	_getPresentedRules() {
+		return [
+			...this._rules,
+			...this._groups.filter(({ decorated }) => decorated),
+		];
+	}
+
+	static #evaluateGroup(group, units, states) {
+		let matched = 0;
+		let pending = 0;
+		let total = 0;
+		for (const unit of units) {
+			if (unit.group !== group || unit.advisory) continue;
+			total++;
+			const state = states.get(unit);
+			if (state.matched) {
+				matched++;
+			} else if (state.pending) {
+				pending++;
+			}
+		}
+		const required =
+			group.required === null ? total : Math.min(group.required, total);
+		return {
+			matched: matched >= required,
+			pending: matched < required && matched + pending >= required,
+		};
+	}
+
+	_reportRuleError({ element, pattern, flags, error }) {
+		if (!error) return;
+		element.classList.add(this.ruleErrorClass);
+		console.warn(
+			`form-validation-list: Invalid pattern "${pattern}": ${error.message}`,
+		);
+		this.dispatchEvent(
+			new CustomEvent('form-validation-list:rule-error', {
+				bubbles: true,
+				composed: true,
+				detail: {
+					element,
+					pattern,
+					flags,
+					message: error.message,
+				},
+			}),
+		);
+	}
+
+	_setupReferencedFields() {
+		if (!this._referenceHandler) {
+			this._referenceHandler = () => {
+				if (this._hasValue) {
+					this._revalidate();
+				}
+			};
+		}
+
+		const ids = new Set(
+			this._rules.flatMap(({ references }) => references),
+		);
+		for (const id of ids) {
+			const referencedField = FormValidationListElement.#findElementById(
+				this._field,
+				id,
+			);
+			if (!referencedField) {
+				console.warn(
+					`form-validation-list: Could not find referenced field with id="${id}"`,
+				);
+				continue;
+			}
+			if (
+				referencedField === this._field ||
+				this._referencedFields.includes(referencedField)
+			) {
+				continue;
+			}
+			referencedField.addEventListener('input', this._referenceHandler);
+			this._referencedFields.push(referencedField);
+		}
+	}
+
+	_teardownReferencedFields() {
+		if (this._referenceHandler) {
+			for (const referencedField of this._referencedFields) {
+				referencedField.removeEventListener(
+					'input',
+					this._referenceHandler,
+				);
+			}
+		}
+		this._referencedFields = [];
+	}
+
+	_setupFormTracking() {
+		if (!this._field) return;
+
+		// A submit blocked by the browser fires invalid instead of submit;
+		// validity lives on the field, or on this element in internals mode,
+		// so listen for invalid on both. checkValidity() fires it too, so
+		// only act while the user is submitting
+		this._invalidHandler = (event) => {
+			if (!FormValidationListElement.isSubmitting(this._field.form)) {
+				return;
+			}
+			if (this.triggerEvent === 'hybrid') {
+				this._markFieldInteracted();
+			}
+			if (this.interceptSubmit) {
+				event.preventDefault();
+				this._handleBlockedSubmit();
+			}
+		};
+		this._field.addEventListener('invalid', this._invalidHandler);
+		this.addEventListener('invalid', this._invalidHandler);
+
+		this._trackedForm = this._field.form || null;
+		if (!this._trackedForm) return;
+
+		// Submit mode has nothing to report before the first submit, and
+		// forms with novalidate submit regardless; stop them here instead
+		this._submitHandler = (event) => {
+			const mode = this.triggerEvent;
+			const deferred = mode === 'hybrid' || mode === 'submit';
+			if (!deferred && !this.interceptSubmit) return;
+			if (deferred) {
+				this._markFieldInteracted();
+			}
+			this._clearPendingInputThrottle();
+			this._validateField({ immediate: true });
+			if (this._isValid) return;
+			event.preventDefault();
+			if (this.interceptSubmit) {
+				this._handleBlockedSubmit();
+			} else {
+				this.reportValidity();
+			}
+		};
+		this._resetHandler = () => {
+			this.reset();
+			const mode = this.triggerEvent;
+			if (mode !== 'hybrid' && mode !== 'submit') return;
+
+			// Hide failures again until the next blur or submit
+			this._clearPendingInputThrottle();
+			this._clearValidity();
+			for (const member of this._fieldMembers) {
+				member.classList.remove(
+					this.fieldValidClass,
+					this.fieldInvalidClass,
+				);
+			}
+		};
+		this._trackedForm.addEventListener('submit', this._submitHandler);
+		this._trackedForm.addEventListener('reset', this._resetHandler);
+	}
+
+	_teardownFormTracking() {
+		if (this._invalidHandler) {
+			if (this._field) {
+				this._field.removeEventListener(
+					'invalid',
+					this._invalidHandler,
+				);
+			}
+			this.removeEventListener('invalid', this._invalidHandler);
+		}
+		if (this._trackedForm) {
+			this._trackedForm.removeEventListener(
+				'submit',
+				this._submitHandler,
+			);
+			this._trackedForm.removeEventListener('reset', this._resetHandler);
+		}
+		this._trackedForm = null;
+		this._invalidHandler = null;
+		this._submitHandler = null;
+		this._resetHandler = null;
+	}
+
+	_handleBlockedSubmit() {
+		// Show the final state at once rather than cascading it in
+		this._clearPendingInputThrottle();
+		this._clearPendingBlurRestore();
+		this._validateField({ immediate: true });
+		this._restoreDescribedBy();
+
+		const emphasisClass = this.ruleEmphasisClass;
+		for (const { element } of [...this._rules, ...this._groups]) {
+			element.classList.toggle(
+				emphasisClass,
+				this._unmetElements.includes(element),
+			);
+		}
+
+		// Each intercepting list in the form agrees on the first invalid
+		// control, so the outcome doesn't depend on which handles it first
+		const form = this._field.form;
+		const firstInvalid = form
+			? Array.from(form.elements).find(
+					(control) => control.validity && !control.validity.valid,
+				)
+			: null;
+		const focusTarget =
+			firstInvalid instanceof FormValidationListElement
+				? firstInvalid.field
+				: firstInvalid || this._field;
+		if (
+			focusTarget &&
+			focusTarget.ownerDocument.activeElement !== focusTarget
+		) {
+			focusTarget.focus();
+		}
+
+		if (this._liveRegion) {
+			this._liveRegion.setAttribute('aria-live', 'assertive');
+			this._liveRegion.textContent = this._getValidationMessage();
+		}
+	}
 
 	_setupAccessibility() {
 		if (!this._field) return;
@@ -602,24 +2124,27 @@ export class FormValidationListElement extends HTMLElement {
 		if (!describedByTarget.id) {
 			describedByTarget.id = FormValidationListElement.#generateId();
 		}
-		const listId = describedByTarget.id;
-		this._describedByTargetId = listId;
+		this._describedByTargetId = describedByTarget.id;
+
+		// Add this list to the aria-describedby of every member of the field
+		this._fieldMembers.forEach((member) => this._addOwnDescribedBy(member));
+	}
 
-		// Add this list to the field's aria-describedby
-		const existingDescribedBy =
-			this._field.getAttribute('aria-describedby');
+	_addOwnDescribedBy(field) {
+		const listId = this._describedByTargetId;
+		const existingDescribedBy = field.getAttribute('aria-describedby');
 		if (existingDescribedBy) {
 			const describedByIds =
 				FormValidationListElement.#parseIdRefs(existingDescribedBy);
 			if (!describedByIds.includes(listId)) {
 				describedByIds.push(listId);
-				this._field.setAttribute(
+				field.setAttribute(
 					'aria-describedby',
 					describedByIds.join(' '),
 				);
 			}
 		} else {
-			this._field.setAttribute('aria-describedby', listId);
+			field.setAttribute('aria-describedby', listId);
 		}
 	}
 
@@ -630,7 +2155,9 @@ export class FormValidationListElement extends HTMLElement {
 			!this._describedByTargetId
 		)
 			return;
-		this._removeOwnDescribedBy();
+		this._fieldMembers.forEach((member) =>
+			this._removeOwnDescribedBy(member),
+		);
 		this._describedBySuspended = true;
 	}
 
@@ -642,19 +2169,7 @@ export class FormValidationListElement extends HTMLElement {
 			!this._describedByTargetId
 		)
 			return;
-		const current = this._field.getAttribute('aria-describedby');
-		if (current) {
-			const ids = FormValidationListElement.#parseIdRefs(current);
-			if (!ids.includes(this._describedByTargetId)) {
-				ids.push(this._describedByTargetId);
-				this._field.setAttribute('aria-describedby', ids.join(' '));
-			}
-		} else {
-			this._field.setAttribute(
-				'aria-describedby',
-				this._describedByTargetId,
-			);
-		}
+		this._fieldMembers.forEach((member) => this._addOwnDescribedBy(member));
 		this._describedBySuspended = false;
 	}
 
@@ -672,15 +2187,522 @@ export class FormValidationListElement extends HTMLElement {
 		}
 	}
 
+	static #getFieldKind(field) {
+		if (
+			field.tagName === 'INPUT' &&
+			(field.type === 'checkbox' || field.type === 'radio')
+		) {
+			return 'choice';
+		}
+		if (field.tagName === 'SELECT') {
+			return 'select';
+		}
+		if (
+			!('value' in field) &&
+			(field.isContentEditable || field.hasAttribute('contenteditable'))
+		) {
+			return 'editable';
+		}
+		return 'text';
+	}
+
+	static #getFieldMembers(field) {
+		if (
+			FormValidationListElement.#getFieldKind(field) !== 'choice' ||
+			!field.name
+		) {
+			return [field];
+		}
+		// Checkboxes and radios sharing a name form one group, scoped to
+		// their form or, outside a form, to their root
+		const candidates = field.form
+			? Array.from(field.form.elements)
+			: Array.from(field.getRootNode().querySelectorAll('input')).filter(
+					(input) => !input.form,
+				);
+		const members = candidates.filter(
+			(input) =>
+				input.tagName === 'INPUT' &&
+				input.type === field.type &&
+				input.name === field.name,
+		);
+		return members.includes(field) ? members : [field];
+	}
+
+	_readFieldValue() {
+		const { value, selected } = FormValidationListElement.#valueAdapters[
+			this._fieldKind
+		](this._field, this._fieldMembers);
+		// Apply the normalize steps in the order they are listed
+		const normalized = this.normalization.reduce(
+			(result, step) =>
+				FormValidationListElement.#normalizers[step](result),
+			value,
+		);
+		return {
+			value: normalized,
+			selected,
+			hasValue: normalized.length > 0 || selected.length > 0,
+		};
+	}
+
+	static #findElementById(contextNode, id) {
+		const root = contextNode.getRootNode();
+		if (root && typeof root.getElementById === 'function') {
+			const found = root.getElementById(id);
+			if (found) return found;
+		}
+		return document.getElementById(id);
+	}
+
 	static #parseIdRefs(value) {
 		if (!value) return [];
 		return value.trim().split(/\s+/).filter(Boolean);
 	}
 
-	static #expandCountTemplate(template, matched, total) {
-		return String(template)
-			.replace(/\{matched\}/g, String(matched))
-			.replace(/\{total\}/g, String(total));
+	static #getLocale(element) {
+		const ancestor = element.closest('[lang]');
+		return (ancestor && ancestor.getAttribute('lang')) || 'en';
+	}
+
+	_getLocale() {
+		return FormValidationListElement.#getLocale(this);
+	}
+
+	_getMessage(key) {
+		return FormValidationListElement.getMessage(key, this);
+	}
+
+	/**
+	 * Look up a message in the catalog for an element's closest `lang`, as lists do for attributes left unset
+	 * @public
+	 * @param {string} key - A catalog key such as "validation-message" or "summary-heading"
+	 * @param {Element} element - The element whose closest `lang` chooses the catalog
+	 * @returns {string} The message from the matching catalog, its base language or English, or an empty string
+	 */
+	static getMessage(key, element) {
+		// Try the exact locale, then drop subtags ("pt-br" → "pt"), then English
+		const subtags = FormValidationListElement.#getLocale(element)
+			.toLowerCase()
+			.split('-');
+		const candidates = subtags.map((_, index) =>
+			subtags.slice(0, subtags.length - index).join('-'),
+		);
+		for (const candidate of [...candidates, 'en']) {
+			const catalog =
+				FormValidationListElement.#messageCatalogs.get(candidate);
+			if (catalog && typeof catalog[key] === 'string') {
+				return catalog[key];
+			}
+		}
+		return '';
+	}
+
+	_formatMessage(template, values) {
+		return FormValidationListElement.#formatTemplate(
+			String(template),
+			values,
+			this._getLocale(),
+		);
+	}
+
+	static #formatTemplate(template, values, locale) {
+		let result = '';
+		let index = 0;
+		while (index < template.length) {
+			const start = template.indexOf('{', index);
+			if (start === -1) {
+				result += template.slice(index);
+				break;
+			}
+			const end = FormValidationListElement.#findClosingBrace(
+				template,
+				start,
+			);
+			if (end === -1) {
+				result += template.slice(index);
+				break;
+			}
+			result += template.slice(index, start);
+			result += FormValidationListElement.#formatArgument(
+				template.slice(start + 1, end),
+				values,
+				locale,
+			);
+			index = end + 1;
+		}
+		return result;
+	}
+
+	static #findClosingBrace(template, start) {
+		let depth = 0;
+		for (let i = start; i < template.length; i++) {
+			if (template[i] === '{') {
+				depth++;
+			} else if (template[i] === '}' && --depth === 0) {
+				return i;
+			}
+		}
+		return -1;
+	}
+
+	static #formatArgument(argument, values, locale) {
+		const match = argument.match(
+			/^\s*(\w+)\s*(?:,\s*plural\s*,([\s\S]*))?$/,
+		);
+		// Leave anything that isn't a known placeholder as written
+		if (!match || !(match[1] in values)) {
+			return `{${argument}}`;
+		}
+		const value = values[match[1]];
+		if (match[2] === undefined) {
+			return String(value);
+		}
+
+		// ICU-style plural: exact "=N" selectors win over plural categories
+		const options = new Map();
+		const optionPattern = /\s*(=?[\w.-]+)\s*\{/g;
+		let option;
+		while ((option = optionPattern.exec(match[2]))) {
+			const open = optionPattern.lastIndex - 1;
+			const close = FormValidationListElement.#findClosingBrace(
+				match[2],
+				open,
+			);
+			if (close === -1) break;
+			options.set(option[1], match[2].slice(open + 1, close));
+			optionPattern.lastIndex = close + 1;
+		}
+
+		const number = Number(value);
+		let category = 'other';
+		let formatted = String(value);
+		try {
+			category = new Intl.PluralRules(locale).select(number);
+			formatted = new Intl.NumberFormat(locale).format(number);
+		} catch {
+			// Unknown locale tags fall back to "other" and the raw value
+		}
+		const message =
+			options.get(`=${value}`) ??
+			options.get(category) ??
+			options.get('other');
+		if (message === undefined) {
+			return String(value);
+		}
+		return FormValidationListElement.#formatTemplate(
+			message.replace(/#/g, formatted),
+			values,
+			locale,
+		);
+	}
+
+	static #createRule(element, definition = null) {
+		const pattern = element.getAttribute('data-pattern');
+		const flags = element.getAttribute('data-flags') || '';
+		const checks = [];
+		let regex = null;
+		let error = null;
+
+		if (pattern !== null) {
+			try {
+				regex = FormValidationListElement.#compilePattern(
+					pattern,
+					flags,
+				);
+				checks.push((value) => regex.test(value));
+			} catch (compileError) {
+				error = compileError;
+				checks.push(() => false);
+			}
+		}
+
+		const minLength = FormValidationListElement.#parseCount(
+			element.getAttribute('data-min-length'),
+		);
+		if (minLength !== null) {
+			checks.push(
+				(value) =>
+					FormValidationListElement.#countGraphemes(value) >=
+					minLength,
+			);
+		}
+
+		const maxLength = FormValidationListElement.#parseCount(
+			element.getAttribute('data-max-length'),
+		);
+		if (maxLength !== null) {
+			checks.push(
+				(value) =>
+					FormValidationListElement.#countGraphemes(value) <=
+					maxLength,
+			);
+		}
+
+		for (const [name, compare] of [
+			['data-min-count', (count, limit) => count >= limit],
+			['data-max-count', (count, limit) => count <= limit],
+		]) {
+			const attr = element.getAttribute(name);
+			if (attr === null) continue;
+			for (const spec of attr.trim().split(/\s+/).filter(Boolean)) {
+				const [className, limitValue] = spec.split(':');
+				const characterClass =
+					FormValidationListElement.#characterClasses[className];
+				const limit = FormValidationListElement.#parseCount(limitValue);
+				if (!characterClass || limit === null) {
+					console.warn(
+						`form-validation-list: Invalid ${name} value "${spec}"`,
+					);
+					checks.push(() => false);
+					continue;
+				}
+				checks.push((value) =>
+					compare(
+						FormValidationListElement.#countCharacters(
+							value,
+							characterClass,
+						),
+						limit,
+					),
+				);
+			}
+		}
+
+		const minSelected = FormValidationListElement.#parseCount(
+			element.getAttribute('data-min-selected'),
+		);
+		if (minSelected !== null) {
+			checks.push(
+				(value, { selected }) => selected.length >= minSelected,
+			);
+		}
+
+		const maxSelected = FormValidationListElement.#parseCount(
+			element.getAttribute('data-max-selected'),
+		);
+		if (maxSelected !== null) {
+			checks.push(
+				(value, { selected }) => selected.length <= maxSelected,
+			);
+		}
+
+		const references = [];
+		for (const [name, compare] of Object.entries(
+			FormValidationListElement.#fieldReferences,
+		)) {
+			const id = element.getAttribute(name);
+			if (!id) continue;
+			references.push(id);
+			checks.push((value, { field }) => {
+				const other = FormValidationListElement.#findElementById(
+					field,
+					id,
+				);
+				return Boolean(other) && compare(value, other.value);
+			});
+		}
+
+		const autoRuleName = element.getAttribute('data-auto-rule');
+		if (autoRuleName !== null) {
+			const autoRule =
+				FormValidationListElement.#autoRules[autoRuleName.trim()];
+			if (autoRule) {
+				checks.push((value, { field }) => autoRule.test(field, value));
+			} else {
+				console.warn(
+					`form-validation-list: Unknown data-auto-rule value "${autoRuleName}"`,
+				);
+				checks.push(() => false);
+			}
+		}
+
+		let customCheck = null;
+		const ruleName = element.getAttribute('data-rule');
+		if (ruleName !== null) {
+			customCheck = FormValidationListElement.#createCustomCheck(
+				element,
+				ruleName.trim(),
+				() =>
+					FormValidationListElement.#ruleRegistry.get(
+						ruleName.trim(),
+					),
+			);
+			checks.push(customCheck);
+		} else if (definition && typeof definition.test === 'function') {
+			customCheck = FormValidationListElement.#createCustomCheck(
+				element,
+				definition.id,
+				() => definition.test,
+			);
+			checks.push(customCheck);
+		}
+
+		return {
+			element,
+			pattern,
+			flags,
+			regex,
+			error,
+			references,
+			// A rule whose pattern can't compile never matches, so like an
+			// advisory rule it is shown but can't block the field
+			advisory:
+				FormValidationListElement.#isAdvisory(element) ||
+				error !== null,
+			group: null,
+			// Resolves to true, false, or the pending sentinel while an
+			// asynchronous check is outstanding. A failed synchronous check
+			// wins over a pending one.
+			test: (value, context) => {
+				let pending = false;
+				for (const check of checks) {
+					const result = check(value, context);
+					if (result === FormValidationListElement.#pending) {
+						pending = true;
+					} else if (!result) {
+						return false;
+					}
+				}
+				return pending ? FormValidationListElement.#pending : true;
+			},
+			abort: () => {
+				if (customCheck) {
+					customCheck.abort();
+				}
+			},
+		};
+	}
+
+	static #compilePattern(pattern, flags) {
+		for (const flag of flags) {
+			if (!FormValidationListElement.#allowedPatternFlags.has(flag)) {
+				throw new SyntaxError(`Unsupported flag "${flag}"`);
+			}
+		}
+		return new RegExp(pattern, flags);
+	}
+
+	static #createCustomCheck(element, ruleName, resolveValidator) {
+		let warned = false;
+		// Last asynchronous check: { value, controller, settled, result }
+		let asyncState = null;
+
+		const fail = (message, ...details) => {
+			if (!warned) {
+				console.warn(`form-validation-list: ${message}`, ...details);
+				warned = true;
+			}
+			return false;
+		};
+
+		const abort = () => {
+			if (asyncState && !asyncState.settled) {
+				asyncState.controller.abort();
+			}
+			asyncState = null;
+		};
+
+		const check = (value, context) => {
+			if (asyncState && asyncState.value === value) {
+				return asyncState.settled
+					? asyncState.result
+					: FormValidationListElement.#pending;
+			}
+			abort();
+
+			const validator = resolveValidator();
+			if (!validator) {
+				return fail(`No rule registered with name "${ruleName}"`);
+			}
+
+			const controller = new AbortController();
+			let result;
+			try {
+				result = validator(value, {
+					...context,
+					element,
+					params: FormValidationListElement.#getRuleParams(element),
+					signal: controller.signal,
+				});
+			} catch (error) {
+				return fail(`Rule "${ruleName}" threw an error`, error);
+			}
+
+			if (!result || typeof result.then !== 'function') {
+				return Boolean(result);
+			}
+
+			const state = { value, controller, settled: false, result: false };
+			asyncState = state;
+			Promise.resolve(result)
+				.then(
+					(matched) => Boolean(matched),
+					(error) => {
+						if (!controller.signal.aborted) {
+							fail(`Rule "${ruleName}" rejected`, error);
+						}
+						return false;
+					},
+				)
+				.then((matched) => {
+					if (controller.signal.aborted || asyncState !== state) {
+						return;
+					}
+					state.settled = true;
+					state.result = matched;
+					if (context.list) {
+						context.list._validateField();
+					}
+				});
+			return FormValidationListElement.#pending;
+		};
+		check.abort = abort;
+		return check;
+	}
+
+	static #getRuleParams(element) {
+		const params = {};
+		for (const [key, value] of Object.entries(element.dataset)) {
+			if (/^rule[A-Z]/.test(key)) {
+				params[key.charAt(4).toLowerCase() + key.slice(5)] = value;
+			}
+		}
+		return params;
+	}
+
+	static #parseCount(value) {
+		if (value === null || value === undefined || value === '') {
+			return null;
+		}
+		const parsed = Number(value);
+		return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+	}
+
+	static #segmentGraphemes(value) {
+		if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+			return Array.from(value);
+		}
+		if (!FormValidationListElement.#graphemeSegmenter) {
+			FormValidationListElement.#graphemeSegmenter = new Intl.Segmenter(
+				undefined,
+				{ granularity: 'grapheme' },
+			);
+		}
+		return Array.from(
+			FormValidationListElement.#graphemeSegmenter.segment(value),
+			({ segment }) => segment,
+		);
+	}
+
+	static #countGraphemes(value) {
+		return FormValidationListElement.#segmentGraphemes(value).length;
+	}
+
+	static #countCharacters(value, characterClass) {
+		return FormValidationListElement.#segmentGraphemes(value).filter(
+			(grapheme) => characterClass.test(grapheme),
+		).length;
 	}
 
 	static #ensureRulePresentation(element) {
@@ -706,6 +2728,116 @@ export class FormValidationListElement extends HTMLElement {
 		return { iconElement, stateElement };
 	}
 
+	static #assertRuleDefinition(definition) {
+		if (!definition || typeof definition !== 'object') {
+			throw new TypeError('form-validation-list: Rule must be an object');
+		}
+		const id =
+			definition.id === null || definition.id === undefined
+				? ''
+				: String(definition.id);
+		if (!id) {
+			throw new TypeError('form-validation-list: Rule must have an id');
+		}
+		const hasPattern =
+			typeof definition.pattern === 'string' ||
+			definition.pattern instanceof RegExp;
+		if (!hasPattern && typeof definition.test !== 'function') {
+			throw new TypeError(
+				`form-validation-list: Rule "${id}" must have a pattern or a test function`,
+			);
+		}
+	}
+
+	static #getRuleLabel(element) {
+		let label = '';
+		for (const node of element.childNodes) {
+			if (
+				node.nodeType === Node.ELEMENT_NODE &&
+				(node.classList.contains('form-validation-list-rule-icon') ||
+					node.classList.contains(
+						'form-validation-list-rule-state',
+					) ||
+					node.matches('[data-require]') ||
+					FormValidationListElement.#containsRule(node))
+			) {
+				continue;
+			}
+			label += node.textContent;
+		}
+		return label.replace(/\s+/g, ' ').trim();
+	}
+
+	_getRuleContainer() {
+		let list = this.querySelector('ul, ol');
+		if (!list) {
+			list = document.createElement('ul');
+			this.prepend(list);
+		}
+		return list;
+	}
+
+	_findRuleElement(id) {
+		return (
+			this._queryRuleElements().find(
+				(element) => element.dataset.id === id || element.id === id,
+			) || null
+		);
+	}
+
+	_renderRule(definition, list) {
+		const id = String(definition.id);
+		const element = document.createElement('li');
+		element.dataset.id = id;
+		if (definition.pattern instanceof RegExp) {
+			element.setAttribute('data-pattern', definition.pattern.source);
+			if (definition.pattern.flags) {
+				element.setAttribute('data-flags', definition.pattern.flags);
+			}
+		} else if (typeof definition.pattern === 'string') {
+			element.setAttribute('data-pattern', definition.pattern);
+			if (definition.flags) {
+				element.setAttribute('data-flags', definition.flags);
+			}
+		}
+		if (definition.message) {
+			element.setAttribute('data-message', String(definition.message));
+		}
+		element.textContent =
+			definition.label === null || definition.label === undefined
+				? ''
+				: String(definition.label);
+		FormValidationListElement.#ensureRulePresentation(element);
+
+		this._ruleDefinitions.set(id, { ...definition, id });
+		const existing = this._findRuleElement(id);
+		if (existing) {
+			existing.replaceWith(element);
+		} else {
+			list.appendChild(element);
+		}
+		return element;
+	}
+
+	_syncRenderedRules(changedElements) {
+		// Apply programmatic changes right away instead of waiting for the
+		// mutation observer, then drop the records it queued for them.
+		if (!this._field) return;
+		this._refreshRules(new Set(changedElements));
+		if (this._ruleObserver) {
+			this._ruleObserver.takeRecords();
+		}
+	}
+
+	static #removeRulePresentation(element) {
+		element
+			.querySelectorAll(
+				':scope > .form-validation-list-rule-icon, :scope > .form-validation-list-rule-state',
+			)
+			.forEach((node) => node.remove());
+		element.removeAttribute('aria-atomic');
+	}
+
 	_updateRulePresentation() {
 		if (this.ruleMatchedIcon) {
 			this.style.setProperty(
@@ -729,14 +2861,26 @@ export class FormValidationListElement extends HTMLElement {
 			);
 		}
 
-		for (let i = 0; i < this._rules.length; i++) {
-			const { element } = this._rules[i];
+		if (this.rulePendingIcon) {
+			this.style.setProperty(
+				'--form-validation-list-rule-pending-icon',
+				JSON.stringify(this.rulePendingIcon),
+			);
+		} else {
+			this.style.removeProperty(
+				'--form-validation-list-rule-pending-icon',
+			);
+		}
+
+		const presentedRules = this._getPresentedRules();
+		for (let i = 0; i < presentedRules.length; i++) {
+			const { element } = presentedRules[i];
 			const { stateElement } =
 				FormValidationListElement.#ensureRulePresentation(element);
-			const isMatched = element.classList.contains(this.ruleMatchedClass);
-			stateElement.textContent = this._hasValue
-				? `${isMatched ? this.ruleMatchedAlt : this.ruleUnmatchedAlt} `
-				: '';
+			stateElement.textContent = this._getRuleStateText(
+				element.classList.contains(this.ruleMatchedClass),
+				element.classList.contains(this.rulePendingClass),
+			);
 		}
 	}
 
@@ -744,41 +2888,135 @@ export class FormValidationListElement extends HTMLElement {
 		const previousClass =
 			oldValue === null ? defaultClass : oldValue || null;
 		this[cacheKey] = null;
-		if (this._field && previousClass) {
-			this._field.classList.remove(previousClass);
+		if (previousClass) {
+			for (const member of this._fieldMembers) {
+				member.classList.remove(previousClass);
+			}
 		}
-		if (this._field) {
-			this._validateField();
+		this._revalidate();
+	}
+
+	__handleRuleClassChange(oldValue, defaultClass, cacheKey) {
+		const previousClass =
+			oldValue === null ? defaultClass : oldValue || null;
+		this[cacheKey] = null;
+		if (previousClass) {
+			for (const { element } of [...this._rules, ...this._groups]) {
+				element.classList.remove(previousClass);
+			}
+		}
+		this._revalidate();
+	}
+
+	__handleRuleErrorClassChange(oldValue) {
+		const previousClass =
+			oldValue === null ? 'validation-error' : oldValue || null;
+		this._errorClasses = null;
+		for (let i = 0; i < this._rules.length; i++) {
+			const { element, error } = this._rules[i];
+			if (previousClass) {
+				element.classList.remove(previousClass);
+			}
+			if (error) {
+				element.classList.add(this.ruleErrorClass);
+			}
 		}
 	}
 
-	__handleRuleClassChange(oldValue, defaultClass, cacheKey) {
+	__handleRuleEmphasisClassChange(oldValue) {
 		const previousClass =
-			oldValue === null ? defaultClass : oldValue || null;
-		this[cacheKey] = null;
-		if (previousClass) {
-			for (let i = 0; i < this._rules.length; i++) {
-				this._rules[i].element.classList.remove(previousClass);
-			}
+			oldValue === null ? 'validation-emphasis' : oldValue || null;
+		this._emphasisClasses = null;
+		if (!previousClass) {
+			return;
 		}
-		if (this._field) {
-			this._validateField();
+		for (const { element } of [...this._rules, ...this._groups]) {
+			element.classList.remove(previousClass);
 		}
 	}
 
-	__rebindValidationHandler(oldValue) {
+	__rebindValidationHandler() {
 		if (!this._field || !this._validationHandler) {
 			return;
 		}
 		this._clearPendingInputThrottle();
-		const previousEvent = this._currentTriggerEvent || oldValue || 'input';
-		const nextEvent = this.triggerEvent;
+		this._bindTriggerEvent();
+	}
+
+	_getListenerEvent() {
+		const interacted =
+			Boolean(this._field) &&
+			FormValidationListElement.#interactedFields.has(this._field);
+		switch (this.triggerEvent) {
+			// Reward early, punish late: wait for the first blur or submit,
+			// then confirm fixes as the user types
+			case 'hybrid':
+				return interacted ? 'input' : 'blur';
+			// Revalidate on change after a submit so a fixed value stops
+			// blocking the next one
+			case 'submit':
+				return interacted ? 'change' : null;
+			default:
+				return this.triggerEvent;
+		}
+	}
+
+	_isValidationDeferred() {
+		// Hybrid mode waits for the first blur or submit, submit mode for
+		// the first submit
+		const listenerEvent = this._getListenerEvent();
+		return (
+			listenerEvent === null ||
+			(this.triggerEvent === 'hybrid' && listenerEvent === 'blur')
+		);
+	}
+
+	_revalidate() {
+		// Re-run validation after a configuration or rule change, without
+		// showing failures the trigger mode still keeps hidden
+		if (!this._field || this._isValidationDeferred()) return;
+		this._validateField();
+	}
+
+	_bindTriggerEvent() {
+		const previousEvent = this._currentTriggerEvent;
+		const nextEvent = this._getListenerEvent();
 		if (previousEvent === nextEvent) {
 			return;
 		}
-		this._field.removeEventListener(previousEvent, this._validationHandler);
 		this._currentTriggerEvent = nextEvent;
-		this._field.addEventListener(nextEvent, this._validationHandler);
+		for (const member of this._fieldMembers) {
+			if (previousEvent) {
+				member.removeEventListener(
+					previousEvent,
+					this._validationHandler,
+				);
+			}
+			if (nextEvent) {
+				member.addEventListener(nextEvent, this._validationHandler);
+			}
+		}
+	}
+
+	_markFieldInteracted() {
+		if (!this._field) return;
+		FormValidationListElement.#interactedFields.add(this._field);
+		this._bindTriggerEvent();
+	}
+
+	_updateInteractionState() {
+		const states = {
+			pristine: !this._dirty,
+			dirty: this._dirty,
+			touched: this._touched,
+		};
+		for (const [state, enabled] of Object.entries(states)) {
+			this.classList.toggle(state, enabled);
+			for (const member of this._fieldMembers) {
+				member.classList.toggle(`validation-${state}`, enabled);
+			}
+			this._setState(state, enabled);
+		}
 	}
 
 	_clearPendingTimeouts() {
@@ -799,6 +3037,14 @@ export class FormValidationListElement extends HTMLElement {
 		this._pendingInputThrottleTimeout = null;
 	}
 
+	_clearPendingRulesWarning() {
+		if (this._pendingRulesWarningTimeout === null) {
+			return;
+		}
+		clearTimeout(this._pendingRulesWarningTimeout);
+		this._pendingRulesWarningTimeout = null;
+	}
+
 	_clearPendingBlurRestore() {
 		if (this._pendingBlurRestoreTimeout === null) {
 			return;
@@ -812,6 +3058,11 @@ export class FormValidationListElement extends HTMLElement {
 			return;
 		}
 
+		// Return to polite announcements after a blocked submit
+		if (this._liveRegion) {
+			this._liveRegion.setAttribute('aria-live', 'polite');
+		}
+
 		const listenerType = this._currentTriggerEvent || this.triggerEvent;
 		if (listenerType !== 'input') {
 			this._validateField();
@@ -837,34 +3088,108 @@ export class FormValidationListElement extends HTMLElement {
 		}, throttleDelay);
 	}
 
-	_validateField() {
+	_validateField({ immediate = false } = {}) {
 		if (!this._field) return;
 
-		this._clearPendingTimeouts();
+		// Listeners may replace the value under test, or cancel the run so
+		// the field no longer blocks its form
+		const { value: fieldValue, selected } = this._readFieldValue();
+		const detail = { value: fieldValue, selected, field: this._field };
+		const proceed = this.dispatchEvent(
+			new CustomEvent('form-validation-list:before-validate', {
+				bubbles: true,
+				composed: true,
+				cancelable: true,
+				detail,
+			}),
+		);
+		if (!proceed) {
+			this._skipValidation();
+			return;
+		}
+		const value = String(detail.value ?? '');
+		const hasValue = value.length > 0 || selected.length > 0;
 
-		const value = this._field.value;
-		const rulesCount = this._rules.length;
+		this._clearPendingTimeouts();
+		let rulesCount = 0;
 		let matchedRules = 0;
-		const delay = this.eachDelay;
+		let pendingRules = 0;
+		const delay = immediate ? 0 : this.eachDelay;
+		const context = { field: this._field, list: this, selected };
 
 		// Track whether the field has a value to expose localized rule state text
-		const hasValue = value.length > 0;
 		if (hasValue !== this._hasValue) {
 			this._hasValue = hasValue;
 			this.classList.toggle('has-value', hasValue);
 		}
+		this._setState('has-value', hasValue);
+
+		// Validate each rule, then each group from its members
+		const states = new Map();
+		let matchedWeight = 0;
+		let totalWeight = 0;
+		for (const rule of this._rules) {
+			const result = rule.test(value, context);
+			states.set(rule, {
+				matched: result === true,
+				pending: result === FormValidationListElement.#pending,
+			});
+
+			// Every rule users see, advisory or grouped, feeds the strength score
+			const weight = FormValidationListElement.#getRuleWeight(
+				rule.element,
+			);
+			totalWeight += weight;
+			if (result === true) {
+				matchedWeight += weight;
+			}
+		}
+		this._strengthScore = totalWeight > 0 ? matchedWeight / totalWeight : 0;
+		const strength = this.strength;
+		const units = [...this._rules, ...this._groups];
+		for (const group of this._groups) {
+			states.set(
+				group,
+				FormValidationListElement.#evaluateGroup(group, units, states),
+			);
+		}
 
-		// Validate each rule
-		for (let i = 0; i < rulesCount; i++) {
-			const { element, regex } = this._rules[i];
-			const matched = regex.test(value);
-
+		// Only top-level, blocking rules and groups count toward validity
+		for (const unit of units) {
+			if (unit.group || unit.advisory) continue;
+			rulesCount++;
+			const { matched, pending } = states.get(unit);
 			if (matched) {
 				matchedRules++;
+			} else if (pending) {
+				pendingRules++;
 			}
+		}
+
+		// Labels of the unmet rules and groups that block the field, for summaries
+		this._unmetElements = units
+			.filter(
+				(unit) =>
+					!unit.group &&
+					!unit.advisory &&
+					!states.get(unit).matched &&
+					!states.get(unit).pending,
+			)
+			.sort(FormValidationListElement.#compareDocumentOrder)
+			.map(({ element }) => element);
+		const unmetRules = this._unmetElements
+			.map((element) => FormValidationListElement.#getRuleLabel(element))
+			.filter(Boolean);
+
+		const presentedRules = this._getPresentedRules().sort(
+			FormValidationListElement.#compareDocumentOrder,
+		);
+		for (let i = 0; i < presentedRules.length; i++) {
+			const { element } = presentedRules[i];
+			const { matched, pending } = states.get(presentedRules[i]);
 
 			const applyClasses = () => {
-				this._toggleMatchedClasses(element, matched);
+				this._toggleMatchedClasses(element, matched, pending);
 			};
 
 			// Apply class changes with delay for visual cascade effect
@@ -882,39 +3207,104 @@ export class FormValidationListElement extends HTMLElement {
 		// Update field validity
 		const isValid = matchedRules === rulesCount;
 		this._isValid = isValid;
+		this._matchedRules = matchedRules;
+		this._totalRules = rulesCount;
 
 		// Cache class names for performance
 		const validClass = this.fieldValidClass;
 		const invalidClass = this.fieldInvalidClass;
 
-		// Update field classes
-		const fieldClassList = this._field.classList;
-		if (isValid) {
-			fieldClassList.add(validClass);
-			fieldClassList.remove(invalidClass);
-		} else {
-			fieldClassList.add(invalidClass);
-			fieldClassList.remove(validClass);
+		// Update field classes; leave the field unclassified while the
+		// outcome only depends on asynchronous rules that are still pending
+		const pendingOnly =
+			pendingRules > 0 && matchedRules + pendingRules === rulesCount;
+		for (const member of this._fieldMembers) {
+			const fieldClassList = member.classList;
+			if (pendingOnly) {
+				fieldClassList.remove(validClass, invalidClass);
+			} else if (isValid) {
+				fieldClassList.add(validClass);
+				fieldClassList.remove(invalidClass);
+			} else {
+				fieldClassList.add(invalidClass);
+				fieldClassList.remove(validClass);
+			}
 		}
 
-		// Update live region with summary announcement only while typing
-		// (i.e. while aria-describedby is suspended). Keep it clear for
-		// blur-triggered or programmatic validation to avoid extra chatter.
+		// Diff the rules users see against the previous pass; rules start
+		// out unmet, and pending rules keep their last settled state
+		const changes = { met: [], unmet: [] };
+		const ruleStates = new Map();
+		const previousStates = new Map();
+		for (const unit of presentedRules) {
+			const { matched, pending } = states.get(unit);
+			const previous = this._ruleStates.get(unit.element) || false;
+			const current = pending ? previous : matched;
+			ruleStates.set(unit.element, current);
+			previousStates.set(unit.element, previous);
+			if (current !== previous) {
+				(current ? changes.met : changes.unmet).push(unit.element);
+			}
+		}
+		this._ruleStates = ruleStates;
+
+		// Per-rule results; previousMatched is the last settled state
+		const results = presentedRules
+			.filter((unit) => this._rules.includes(unit))
+			.map((rule) => {
+				const { matched, pending } = states.get(rule);
+				return {
+					id: rule.element.dataset.id || rule.element.id || null,
+					label: FormValidationListElement.#getRuleLabel(
+						rule.element,
+					),
+					pattern: rule.pattern,
+					matched,
+					pending,
+					previousMatched: previousStates.get(rule.element),
+					element: rule.element,
+				};
+			});
+		this._results = results;
+
+		// Update live region only while typing (i.e. while aria-describedby
+		// is suspended), and only when a rule changed state. Keep it clear
+		// for blur-triggered or programmatic validation to avoid extra chatter.
 		if (this._liveRegion) {
-			if (this._describedBySuspended) {
-				this._liveRegion.textContent =
-					FormValidationListElement.#expandCountTemplate(
-						this.announcement,
-						matchedRules,
-						rulesCount,
-					);
-			} else {
+			if (!this._describedBySuspended || this.announce === 'off') {
 				this._liveRegion.textContent = '';
+			} else if (changes.met.length > 0 || changes.unmet.length > 0) {
+				this._liveRegion.textContent = this._getAnnouncement(
+					changes,
+					matchedRules,
+					rulesCount,
+				);
 			}
 		}
 
 		// Integrate with browser validation
-		this._updateFieldValidity(isValid, matchedRules);
+		this._updateFieldValidity(isValid, matchedRules, rulesCount);
+		const messages = this._getRuleMessages();
+
+		this._updateStrengthMeter();
+
+		// Fire events for settled rules that flipped, then for a validity
+		// transition (ignoring passes still waiting on asynchronous rules)
+		for (const result of results) {
+			if (result.pending || result.matched === result.previousMatched) {
+				continue;
+			}
+			this.dispatchEvent(
+				new CustomEvent('form-validation-list:rule-change', {
+					bubbles: true,
+					composed: true,
+					detail: { ...result, field: this._field },
+				}),
+			);
+		}
+		if (pendingRules === 0) {
+			this._reportValidity(isValid);
+		}
 
 		// Fire custom event
 		this.dispatchEvent(
@@ -924,78 +3314,396 @@ export class FormValidationListElement extends HTMLElement {
 				detail: {
 					isValid,
 					matchedRules,
+					pendingRules,
 					totalRules: rulesCount,
+					unmetRules,
+					messages,
+					results: this.results,
+					strength,
+					pristine: !this._dirty,
+					dirty: this._dirty,
+					touched: this._touched,
+					skipped: false,
+					field: this._field,
+				},
+			}),
+		);
+	}
+
+	_skipValidation() {
+		this._clearPendingInputThrottle();
+		this._clearPendingTimeouts();
+		this._clearValidity();
+		for (const member of this._fieldMembers) {
+			member.classList.remove(
+				this.fieldValidClass,
+				this.fieldInvalidClass,
+			);
+		}
+
+		// Return the rules to their neutral state; nothing was checked
+		for (const { element } of this._getPresentedRules()) {
+			const { stateElement } =
+				FormValidationListElement.#ensureRulePresentation(element);
+			element.classList.remove(
+				this.ruleMatchedClass,
+				this.ruleUnmatchedClass,
+				this.rulePendingClass,
+				this.ruleEmphasisClass,
+			);
+			stateElement.textContent = '';
+		}
+		this._isValid = true;
+		this._unmetElements = [];
+		this._matchedRules = 0;
+		this._totalRules = 0;
+		this._ruleStates = new Map();
+		this._results = [];
+		// Clearing validity drops every host state; keep the interaction ones
+		this._updateInteractionState();
+
+		this._reportValidity(true);
+		this.dispatchEvent(
+			new CustomEvent('form-validation-list:validated', {
+				bubbles: true,
+				composed: true,
+				detail: {
+					isValid: true,
+					matchedRules: 0,
+					pendingRules: 0,
+					totalRules: 0,
+					unmetRules: [],
+					messages: [],
+					results: [],
+					strength: this.strength,
+					pristine: !this._dirty,
+					dirty: this._dirty,
+					touched: this._touched,
+					skipped: true,
 					field: this._field,
 				},
 			}),
 		);
 	}
 
-	_toggleMatchedClasses(element, matched) {
+	_reportValidity(isValid) {
+		if (isValid === this._reportedValidity) {
+			return;
+		}
+		const previousValid = this._reportedValidity;
+		this._reportedValidity = isValid;
+		this.dispatchEvent(
+			new CustomEvent('form-validation-list:validitychange', {
+				bubbles: true,
+				composed: true,
+				detail: { isValid, previousValid, field: this._field },
+			}),
+		);
+	}
+
+	_getAnnouncement(changes, matchedRules, totalRules) {
+		const values = this._getMessageValues(matchedRules, totalRules);
+		const summary = this._formatMessage(this.announcement, values);
+		const mode = this.announce;
+		if (mode === 'summary') {
+			return summary;
+		}
+
+		const parts = [
+			['announce-now-met', changes.met],
+			['announce-no-longer-met', changes.unmet],
+		]
+			.filter(([, elements]) => elements.length > 0)
+			.map(([key, elements]) =>
+				this._formatMessage(this._getMessage(key), {
+					...values,
+					rules: this._formatList(
+						elements.map((element) =>
+							FormValidationListElement.#getRuleLabel(element),
+						),
+					),
+				}),
+			);
+		if (mode === 'verbose') {
+			parts.push(summary);
+		}
+		return parts.join(' ');
+	}
+
+	static #compareDocumentOrder(a, b) {
+		return a.element.compareDocumentPosition(b.element) &
+			Node.DOCUMENT_POSITION_FOLLOWING
+			? -1
+			: 1;
+	}
+
+	static #getRulePriority(element) {
+		const parsed = Number(element.getAttribute('data-priority'));
+		return Number.isFinite(parsed) ? parsed : 0;
+	}
+
+	static #getRuleWeight(element) {
+		const attr = element.getAttribute('data-weight');
+		if (attr === null || attr === '') {
+			return 1;
+		}
+		const parsed = Number(attr);
+		return Number.isFinite(parsed) && parsed >= 0 ? parsed : 1;
+	}
+
+	_updateStrengthMeter() {
+		if (!this.strengthMeter) {
+			if (this._strengthMeter) {
+				this._strengthMeter.remove();
+				this._strengthMeter = null;
+			}
+			return;
+		}
+
+		if (!this._strengthMeter) {
+			this._strengthMeter = document.createElement('meter');
+			this._strengthMeter.className = 'form-validation-list-strength';
+			this._strengthMeter.min = 0;
+			this._strengthMeter.max = 1;
+			this._strengthMeter.optimum = 1;
+			this.insertBefore(this._strengthMeter, this._liveRegion);
+		}
+
+		const thresholds = this.strengthThresholds;
+		const { score, label } = this.strength;
+		const meter = this._strengthMeter;
+		meter.low = thresholds[0];
+		meter.high = thresholds[thresholds.length - 1];
+		meter.value = score;
+		meter.textContent = label;
+		meter.setAttribute('aria-label', this.strengthMeterLabel);
+		meter.setAttribute('aria-valuetext', label);
+	}
+
+	_toggleMatchedClasses(element, matched, pending = false) {
 		const { stateElement } =
 			FormValidationListElement.#ensureRulePresentation(element);
 		const classList = element.classList;
-		if (matched) {
+		if (matched || pending) {
+			classList.remove(this.ruleEmphasisClass);
+		}
+		if (pending) {
+			classList.add(this.rulePendingClass);
+			classList.remove(this.ruleMatchedClass, this.ruleUnmatchedClass);
+		} else if (matched) {
 			classList.add(this.ruleMatchedClass);
-			classList.remove(this.ruleUnmatchedClass);
+			classList.remove(this.ruleUnmatchedClass, this.rulePendingClass);
 		} else {
 			classList.add(this.ruleUnmatchedClass);
-			classList.remove(this.ruleMatchedClass);
+			classList.remove(this.ruleMatchedClass, this.rulePendingClass);
+		}
+		stateElement.textContent = this._getRuleStateText(matched, pending);
+	}
+
+	_getRuleStateText(matched, pending) {
+		if (!this._hasValue) {
+			return '';
+		}
+		if (pending) {
+			return `${this.rulePendingAlt} `;
 		}
-		stateElement.textContent = this._hasValue
-			? `${matched ? this.ruleMatchedAlt : this.ruleUnmatchedAlt} `
-			: '';
+		return `${matched ? this.ruleMatchedAlt : this.ruleUnmatchedAlt} `;
 	}
 
-	_updateFieldValidity(isValid, matchedRules) {
-		if (!this._field || !this._field.setCustomValidity) return;
+	_updateFieldValidity(isValid, matchedRules, totalRules) {
+		if (!this._field) return;
 
-		if (isValid) {
-			this._field.setCustomValidity('');
+		const internals = this._getValidityInternals();
+		this._setState('valid', isValid);
+		this._setState('invalid', !isValid);
+
+		if (!internals && !this._field.setCustomValidity) return;
+
+		const message = isValid
+			? ''
+			: this._getValidationMessage(matchedRules, totalRules);
+
+		if (!internals) {
+			this._field.setCustomValidity(message);
+		} else if (isValid) {
+			internals.setValidity({});
 		} else {
-			const template =
-				this.validationMessage ||
-				'Please match all validation requirements ({matched} of {total})';
-			const message = FormValidationListElement.#expandCountTemplate(
-				template,
-				matchedRules,
-				this._rules.length,
+			// An anchor must live inside this element, so external fields
+			// leave the bubble anchored to the host.
+			const anchor = this.contains(this._field) ? this._field : undefined;
+			internals.setValidity({ customError: true }, message, anchor);
+		}
+	}
+
+	_getValidationMessage(
+		matchedRules = this._matchedRules,
+		totalRules = this._totalRules,
+	) {
+		const [ruleMessage] = this._getRuleMessages(matchedRules, totalRules);
+		if (ruleMessage) {
+			return ruleMessage;
+		}
+		return this._formatMessage(
+			this.validationMessage || this._getMessage('validation-message'),
+			this._getMessageValues(matchedRules, totalRules),
+		);
+	}
+
+	_getRuleMessages(
+		matchedRules = this._matchedRules,
+		totalRules = this._totalRules,
+	) {
+		// Unmet rules are already in document order; a stable sort keeps
+		// that order among rules of equal data-priority
+		const elements = this._unmetElements
+			.filter((element) => element.getAttribute('data-message'))
+			.sort(
+				(a, b) =>
+					FormValidationListElement.#getRulePriority(b) -
+					FormValidationListElement.#getRulePriority(a),
 			);
-			this._field.setCustomValidity(message);
+		if (elements.length === 0) {
+			return [];
+		}
+		const values = this._getMessageValues(matchedRules, totalRules);
+		return elements.map((element) =>
+			this._formatMessage(element.getAttribute('data-message'), values),
+		);
+	}
+
+	_getMessageValues(
+		matchedRules = this._matchedRules,
+		totalRules = this._totalRules,
+	) {
+		const unmet = this._unmetElements
+			.map((element) => FormValidationListElement.#getRuleLabel(element))
+			.filter(Boolean);
+		return {
+			matched: matchedRules,
+			total: totalRules,
+			remaining: totalRules - matchedRules,
+			unmet: this._formatList(unmet),
+			firstUnmet: unmet[0] || '',
+			label: this._field
+				? FormValidationListElement.getFieldLabel(this._field)
+				: '',
+		};
+	}
+
+	_formatList(items) {
+		try {
+			return new Intl.ListFormat(this._getLocale(), {
+				type: 'conjunction',
+			}).format(items);
+		} catch {
+			// Unknown locale tags (or engines without ListFormat) get a plain join
+			return items.join(', ');
+		}
+	}
+
+	_getValidityInternals() {
+		if (this.validityMode !== 'internals') {
+			return null;
+		}
+		if (!this._internals) {
+			if (typeof this.attachInternals !== 'function') {
+				if (!FormValidationListElement.#internalsWarningShown) {
+					console.warn(
+						'form-validation-list: ElementInternals is not supported; reporting validity on the field instead',
+					);
+					FormValidationListElement.#internalsWarningShown = true;
+				}
+				return null;
+			}
+			this._internals = this.attachInternals();
+		}
+		return this._internals;
+	}
+
+	_setState(state, enabled) {
+		const internals = this._getValidityInternals();
+		if (!internals || !internals.states) return;
+		try {
+			if (enabled) {
+				internals.states.add(state);
+			} else {
+				internals.states.delete(state);
+			}
+		} catch {
+			// Older implementations only accept dashed state names
+		}
+	}
+
+	_clearValidity() {
+		if (this._field && this._field.setCustomValidity) {
+			this._field.setCustomValidity('');
+		}
+		if (this._internals) {
+			this._internals.setValidity({});
+			if (this._internals.states) {
+				for (const state of [
+					'valid',
+					'invalid',
+					'has-value',
+					...FormValidationListElement.#interactionStates,
+				]) {
+					this._internals.states.delete(state);
+				}
+			}
 		}
 	}
 
 	_cleanup() {
+		this._clearPendingRulesWarning();
 		this._clearPendingBlurRestore();
 		this._clearPendingInputThrottle();
 		this._clearPendingTimeouts();
 
 		// Remove event listeners
-		if (this._field && this._validationHandler) {
-			const listenerType =
-				this._currentTriggerEvent || this.triggerEvent || 'input';
-			this._field.removeEventListener(
-				listenerType,
-				this._validationHandler,
-			);
+		const listenerType = this._currentTriggerEvent;
+		for (const member of this._fieldMembers) {
+			if (this._validationHandler && listenerType) {
+				member.removeEventListener(
+					listenerType,
+					this._validationHandler,
+				);
+			}
+			if (this._blurHandler) {
+				member.removeEventListener('blur', this._blurHandler);
+			}
+			if (this._interactionHandler) {
+				member.removeEventListener('input', this._interactionHandler);
+				member.removeEventListener('change', this._interactionHandler);
+			}
 		}
-		if (this._field && this._blurHandler) {
-			this._field.removeEventListener('blur', this._blurHandler);
+		this._teardownReferencedFields();
+		this._teardownFormTracking();
+		this._teardownConstraintObserver();
+		if (this._ruleObserver) {
+			this._ruleObserver.disconnect();
+			this._ruleObserver = null;
+		}
+		if (this._fieldObserver) {
+			this._fieldObserver.disconnect();
+			this._fieldObserver = null;
 		}
 
 		// Remove this element from the field's aria-describedby on cleanup
-		this._removeOwnDescribedBy();
+		this._fieldMembers.forEach((member) =>
+			this._removeOwnDescribedBy(member),
+		);
 
-		// Clear custom validity
-		if (this._field && this._field.setCustomValidity) {
-			this._field.setCustomValidity('');
-		}
+		// Clear custom validity and host states
+		this._clearValidity();
 
 		// Remove classes from field
-		if (this._field) {
-			this._field.classList.remove(
+		for (const member of this._fieldMembers) {
+			member.classList.remove(
 				this.fieldValidClass,
 				this.fieldInvalidClass,
+				...FormValidationListElement.#interactionStates.map(
+					(state) => `validation-${state}`,
+				),
 			);
 		}
 
@@ -1003,39 +3711,79 @@ export class FormValidationListElement extends HTMLElement {
 		const rulesCount = this._rules.length;
 		const matchedClass = this.ruleMatchedClass;
 		const unmatchedClass = this.ruleUnmatchedClass;
+		const pendingClass = this.rulePendingClass;
+		const errorClass = this.ruleErrorClass;
+		const emphasisClass = this.ruleEmphasisClass;
 
 		for (let i = 0; i < rulesCount; i++) {
+			this._rules[i].abort();
 			this._rules[i].element.classList.remove(
 				matchedClass,
 				unmatchedClass,
+				pendingClass,
+				errorClass,
+				emphasisClass,
+			);
+		}
+		for (const { element } of this._groups) {
+			element.classList.remove(
+				matchedClass,
+				unmatchedClass,
+				pendingClass,
+				emphasisClass,
 			);
 		}
 
-		// Remove live region
+		// Remove live region and strength meter
 		if (this._liveRegion && this._liveRegion.parentNode) {
 			this._liveRegion.remove();
 		}
+		if (this._strengthMeter) {
+			this._strengthMeter.remove();
+		}
 
-		// Remove has-value class
-		this.classList.remove('has-value');
+		// Remove has-value and interaction classes
+		this.classList.remove(
+			'has-value',
+			...FormValidationListElement.#interactionStates,
+		);
 		this.style.removeProperty('--form-validation-list-rule-matched-icon');
 		this.style.removeProperty('--form-validation-list-rule-unmatched-icon');
+		this.style.removeProperty('--form-validation-list-rule-pending-icon');
 
 		this._field = null;
+		this._fieldMembers = [];
+		this._fieldKind = 'text';
 		this._rules = [];
+		this._groups = [];
 		this._validationHandler = null;
 		this._blurHandler = null;
+		this._interactionHandler = null;
+		this._dirty = false;
+		this._touched = false;
+		this._referenceHandler = null;
 		this._liveRegion = null;
+		this._strengthMeter = null;
+		this._strengthScore = 0;
 		this._pendingBlurRestoreTimeout = null;
 		this._validClasses = null;
 		this._invalidClasses = null;
 		this._matchedClasses = null;
 		this._unmatchedClasses = null;
+		this._pendingClasses = null;
+		this._errorClasses = null;
+		this._emphasisClasses = null;
 		this._currentTriggerEvent = null;
 		this._describedBySuspended = false;
 		this._describedByTargetId = null;
 		this._hasValue = false;
 		this._isValid = false;
+		this._unmetElements = [];
+		this._matchedRules = 0;
+		this._totalRules = 0;
+		this._ruleStates = new Map();
+		this._results = [];
+		this._reportedValidity = null;
 	}
 
 	/**
@@ -1047,6 +3795,86 @@ export class FormValidationListElement extends HTMLElement {
 		return this._isValid;
 	}
 
+	/**
+	 * Return the field to pristine and untouched, as when it was first bound; a hybrid or submit trigger waits for the
+	 * next blur or submit again. Called automatically when the field's form is reset
+	 * @public
+	 */
+	reset() {
+		this._dirty = false;
+		this._touched = false;
+		for (const member of this._fieldMembers) {
+			FormValidationListElement.#interactedFields.delete(member);
+		}
+		if (this._field && this._validationHandler) {
+			this._bindTriggerEvent();
+		}
+		this._updateInteractionState();
+	}
+
+	/**
+	 * Add a rule, rendering its list item (replaces an existing rule with the same id)
+	 * @public
+	 * @param {{ id: string, pattern?: string | RegExp, flags?: string, test?: Function, label?: string, message?: string }} rule
+	 * @returns {HTMLElement} The rendered rule element
+	 */
+	addRule(rule) {
+		FormValidationListElement.#assertRuleDefinition(rule);
+		const element = this._renderRule(rule, this._getRuleContainer());
+		this._syncRenderedRules([element]);
+		return element;
+	}
+
+	/**
+	 * Remove the rule with the given id
+	 * @public
+	 * @param {string} id - The rule's id (its data-id or id attribute)
+	 * @returns {boolean} Whether a rule was removed
+	 */
+	removeRule(id) {
+		const key = String(id);
+		const element = this._findRuleElement(key);
+		this._ruleDefinitions.delete(key);
+		if (!element) {
+			return false;
+		}
+		element.remove();
+		this._syncRenderedRules([]);
+		return true;
+	}
+
+	/**
+	 * Get a description of every rule in the list
+	 * @public
+	 * @returns {Array<{ id: string | null, pattern: string | null, flags: string | null, test: Function | null, label: string, message: string | null }>}
+	 */
+	getRules() {
+		return this._queryRuleElements().map((element) => {
+			const id = element.dataset.id || element.id || null;
+			const definition = this._ruleDefinitions.get(element.dataset.id);
+			return {
+				id,
+				pattern: element.getAttribute('data-pattern'),
+				flags: element.getAttribute('data-flags'),
+				test:
+					definition && typeof definition.test === 'function'
+						? definition.test
+						: null,
+				label: FormValidationListElement.#getRuleLabel(element),
+				message: element.getAttribute('data-message'),
+			};
+		});
+	}
+
+	/**
+	 * Get each rule's result from the most recent validation, in document order
+	 * @public
+	 * @returns {Array<{ id: string | null, label: string, pattern: string | null, matched: boolean, pending: boolean, previousMatched: boolean, element: HTMLElement }>}
+	 */
+	get results() {
+		return this._results.map((result) => ({ ...result }));
+	}
+
 	/**
 	 * Get the current validation state
 	 * @public
@@ -1055,4 +3883,104 @@ export class FormValidationListElement extends HTMLElement {
 	get isValid() {
 		return this._isValid;
 	}
+
+	/**
+	 * Whether the user has yet to change the field's value
+	 * @public
+	 * @returns {boolean}
+	 */
+	get pristine() {
+		return !this._dirty;
+	}
+
+	/**
+	 * Whether the user has changed the field's value (by typing or picking)
+	 * @public
+	 * @returns {boolean}
+	 */
+	get dirty() {
+		return this._dirty;
+	}
+
+	/**
+	 * Whether the user has left the field at least once
+	 * @public
+	 * @returns {boolean}
+	 */
+	get touched() {
+		return this._touched;
+	}
+
+	/**
+	 * Check validity, firing an invalid event when it fails
+	 * @public
+	 * @returns {boolean} Whether the element (in internals mode) or its field is valid
+	 */
+	checkValidity() {
+		const internals = this._getValidityInternals();
+		if (internals) {
+			return internals.checkValidity();
+		}
+		return this._field && this._field.checkValidity
+			? this._field.checkValidity()
+			: this._isValid;
+	}
+
+	/**
+	 * Check validity and show the browser's validation message when it fails
+	 * @public
+	 * @returns {boolean} Whether the element (in internals mode) or its field is valid
+	 */
+	reportValidity() {
+		const internals = this._getValidityInternals();
+		if (internals) {
+			return internals.reportValidity();
+		}
+		return this._field && this._field.reportValidity
+			? this._field.reportValidity()
+			: this._isValid;
+	}
+
+	/**
+	 * Get the form this element (in internals mode) or its field belongs to
+	 * @public
+	 * @returns {HTMLFormElement | null}
+	 */
+	get form() {
+		const internals = this._getValidityInternals();
+		if (internals) {
+			return internals.form;
+		}
+		return (this._field && this._field.form) || null;
+	}
+
+	/**
+	 * Get the validity state of this element (in internals mode) or its field
+	 * @public
+	 * @returns {ValidityState | null}
+	 */
+	get validity() {
+		const internals = this._getValidityInternals();
+		if (internals) {
+			return internals.validity;
+		}
+		return (this._field && this._field.validity) || null;
+	}
+
+	/**
+	 * Get the weighted strength of the current value
+	 * @public
+	 * @returns {{ score: number, label: string }} The share of rule weight matched (0–1) and its band label
+	 */
+	get strength() {
+		const score = this._strengthScore;
+		const labels = this.strengthLabels;
+		const band = this.strengthThresholds.filter(
+			(threshold) => score >= threshold,
+		).length;
+		return {
+			score,
+			label: labels[Math.min(band, labels.length - 1)],
+		};
+	}
 }
@@ -0,0 +1,335 @@
+/**
+ * FormValidationSummaryElement - An error summary listing every field in a form whose form-validation-list is unmet.
+ *
+ * @element form-validation-summary
+ *
+ * @attr {string} for - The ID of the form to summarize (default: the closest form)
+ * @attr {string} heading - The summary heading (default: the "summary-heading" message for the closest `lang`, "There is
+ *   a problem" in English)
+ *
+ * The summary stays hidden until a submit of the form is blocked by invalid fields. It then lists each failing
+ * field, linked to the field, with the text of its unmet rules, moves focus to itself, and keeps the list up to date
+ * as fields are fixed, hiding again once none are failing.
+ */
+import { FormValidationListElement } from './form-validation-list.js';
+
+export class FormValidationSummaryElement extends HTMLElement {
+	static #generateId(prefix) {
+		return `${prefix}-${Math.random().toString(36).substr(2, 9)}`;
+	}
+
+	static get observedAttributes() {
+		return ['for', 'heading'];
+	}
+
+	constructor() {
+		super();
+		// Use light DOM instead of shadow DOM
+		this._root = null;
+		this._entries = new Map();
+		this._active = false;
+		this._pendingFocusTimeout = null;
+		this._validatedHandler = null;
+		this._invalidHandler = null;
+		this._submitHandler = null;
+		this._heading = null;
+		this._list = null;
+	}
+
+	connectedCallback() {
+		this.__upgradeProperty('for');
+		this.__upgradeProperty('heading');
+		this._setup();
+	}
+
+	disconnectedCallback() {
+		this._cleanup();
+	}
+
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (oldValue === newValue) {
+			return;
+		}
+
+		switch (name) {
+			case 'for':
+				if (this.isConnected) {
+					this._cleanup();
+					this._setup();
+				}
+				break;
+			case 'heading':
+				if (this._heading) {
+					this._heading.textContent = this.heading;
+				}
+				break;
+			default:
+				break;
+		}
+	}
+
+	get ['for']() {
+		return this.getAttribute('for');
+	}
+
+	set ['for'](value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('for');
+		} else {
+			this.setAttribute('for', String(value));
+		}
+	}
+
+	get heading() {
+		return (
+			this.getAttribute('heading') ||
+			FormValidationListElement.getMessage('summary-heading', this)
+		);
+	}
+
+	set heading(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('heading');
+		} else {
+			this.setAttribute('heading', String(value));
+		}
+	}
+
+	__upgradeProperty(prop) {
+		if (Object.prototype.hasOwnProperty.call(this, prop)) {
+			const value = this[prop];
+			delete this[prop];
+			this[prop] = value;
+		}
+	}
+
+	_setup() {
+		if (!this.for && !this.closest('form')) {
+			console.warn(
+				'form-validation-summary: Must be placed inside a form or reference one with "for"',
+			);
+			return;
+		}
+
+		this._render();
+
+		this._validatedHandler = (event) => {
+			const list = event.target;
+			const { isValid, field, unmetRules = [] } = event.detail;
+			if (!this._isInForm(list, field)) {
+				return;
+			}
+			this._entries.set(list, { field, isValid, unmetRules });
+			if (this._active) {
+				this._update();
+			}
+		};
+
+		// The browser fires invalid for each failing control when a submit
+		// is blocked; collect them into one summary afterward. checkValidity()
+		// fires invalid too, so ignore it unless the user is submitting
+		this._invalidHandler = (event) => {
+			if (
+				this._pendingFocusTimeout !== null ||
+				!this._isInForm(event.target, event.target) ||
+				!FormValidationListElement.isSubmitting(this._resolveForm())
+			) {
+				return;
+			}
+			this._pendingFocusTimeout = setTimeout(() => {
+				this._pendingFocusTimeout = null;
+				this.show();
+			}, 0);
+		};
+
+		// Forms with novalidate submit regardless; stop them here instead
+		this._submitHandler = (event) => {
+			if (event.target === this._resolveForm() && this.show()) {
+				event.preventDefault();
+			}
+		};
+
+		// Listen on the root so a form referenced with "for" may render
+		// after this element
+		this._root = this.getRootNode();
+		this._root.addEventListener(
+			'form-validation-list:validated',
+			this._validatedHandler,
+		);
+		this._root.addEventListener('invalid', this._invalidHandler, true);
+		this._root.addEventListener('submit', this._submitHandler);
+	}
+
+	_resolveForm() {
+		const formId = this.for;
+		if (!formId) {
+			return this.closest('form');
+		}
+		const root = this.getRootNode();
+		return (
+			(typeof root.getElementById === 'function' &&
+				root.getElementById(formId)) ||
+			document.getElementById(formId)
+		);
+	}
+
+	_isInForm(element, field) {
+		const form = this._resolveForm();
+		return (
+			Boolean(form) &&
+			(form.contains(element) || Boolean(field && field.form === form))
+		);
+	}
+
+	_render() {
+		if (!this.hasAttribute('tabindex')) {
+			this.setAttribute('tabindex', '-1');
+		}
+		this.hidden = true;
+
+		this._heading = document.createElement('h2');
+		this._heading.className = 'form-validation-summary-heading';
+		this._heading.id = FormValidationSummaryElement.#generateId(
+			'form-validation-summary-heading',
+		);
+		this._heading.textContent = this.heading;
+		this.setAttribute('aria-labelledby', this._heading.id);
+
+		this._list = document.createElement('ul');
+		this._list.className = 'form-validation-summary-list';
+
+		this.append(this._heading, this._list);
+	}
+
+	_validateLists(form) {
+		// Validate every list so untouched fields are included too; match
+		// by class since lists may be defined under another tag name
+		const lists = new Set([
+			...Array.from(form.querySelectorAll('*')).filter(
+				(element) => element instanceof FormValidationListElement,
+			),
+			...this._entries.keys(),
+		]);
+		for (const list of lists) {
+			if (list.isConnected && typeof list.validate === 'function') {
+				list.validate();
+			}
+		}
+	}
+
+	_update() {
+		const errors = this.errors;
+		this._list.replaceChildren(
+			...errors.map(({ field, label, unmetRules }) => {
+				if (!field.id) {
+					field.id = FormValidationSummaryElement.#generateId(
+						'form-validation-summary-field',
+					);
+				}
+				const link = document.createElement('a');
+				link.href = `#${field.id}`;
+				link.textContent = label;
+				link.addEventListener('click', (event) => {
+					event.preventDefault();
+					field.focus();
+				});
+
+				const item = document.createElement('li');
+				item.append(link);
+				if (unmetRules.length > 0) {
+					const rules = document.createElement('ul');
+					for (const rule of unmetRules) {
+						const ruleItem = document.createElement('li');
+						ruleItem.textContent = rule;
+						rules.append(ruleItem);
+					}
+					item.append(rules);
+				}
+				return item;
+			}),
+		);
+		this.hidden = errors.length === 0;
+	}
+
+	_cleanup() {
+		if (this._pendingFocusTimeout !== null) {
+			clearTimeout(this._pendingFocusTimeout);
+			this._pendingFocusTimeout = null;
+		}
+		if (this._root) {
+			this._root.removeEventListener(
+				'form-validation-list:validated',
+				this._validatedHandler,
+			);
+			this._root.removeEventListener(
+				'invalid',
+				this._invalidHandler,
+				true,
+			);
+			this._root.removeEventListener('submit', this._submitHandler);
+		}
+		if (this._heading) {
+			this._heading.remove();
+		}
+		if (this._list) {
+			this._list.remove();
+		}
+		this.removeAttribute('aria-labelledby');
+
+		this._root = null;
+		this._entries.clear();
+		this._active = false;
+		this._validatedHandler = null;
+		this._invalidHandler = null;
+		this._submitHandler = null;
+		this._heading = null;
+		this._list = null;
+	}
+
+	/**
+	 * Validate every list in the form, then show the summary and move focus to it if any field is failing
+	 * @public
+	 * @returns {boolean} Whether the summary is shown
+	 */
+	show() {
+		const form = this._root && this._resolveForm();
+		if (!form) {
+			return false;
+		}
+		this._validateLists(form);
+		this._active = true;
+		this._update();
+		if (this.hidden) {
+			return false;
+		}
+		this.focus();
+		return true;
+	}
+
+	/**
+	 * Get the failing fields, in document order
+	 * @public
+	 * @returns {Array<{ field: HTMLElement, label: string, unmetRules: string[] }>}
+	 */
+	get errors() {
+		return Array.from(this._entries.values())
+			.filter(
+				({ field, isValid }) => !isValid && field && field.isConnected,
+			)
+			.sort((a, b) =>
+				a.field.compareDocumentPosition(b.field) &
+				Node.DOCUMENT_POSITION_FOLLOWING
+					? -1
+					: 1,
+			)
+			.map(({ field, unmetRules }) => ({
+				field,
+				label:
+					FormValidationListElement.getFieldLabel(field) ||
+					field.getAttribute('name') ||
+					field.id ||
+					field.tagName,
+				unmetRules,
+			}));
+	}
+}
@@ -1 +1,2 @@
 export { FormValidationListElement } from './form-validation-list.js';
+export { FormValidationSummaryElement } from './form-validation-summary.js';
@@ -23,6 +23,14 @@ describe('FormValidationListElement', () => {
 		document.body.innerHTML = '';
 	});
 
+	// Replace the rules and reconnect so the list picks them up
+	const setRules = (markup) => {
+		element.innerHTML = `<ul>${markup}</ul>`;
+		element.setAttribute('each-delay', '0');
+		element.disconnectedCallback();
+		element.connectedCallback();
+	};
+
 	it('should be defined', () => {
 		expect(customElements.get('form-validation-list')).toBe(
 			FormValidationListElement,
@@ -101,7 +109,7 @@ describe('FormValidationListElement', () => {
 
 		it('should normalize unsupported trigger events to input', () => {
 			const localElement = document.createElement('form-validation-list');
-			localElement.triggerEvent = 'change';
+			localElement.triggerEvent = 'keyup';
 			expect(localElement.getAttribute('trigger-event')).toBe('input');
 			expect(localElement.triggerEvent).toBe('input');
 		});
@@ -377,290 +385,2933 @@ describe('FormValidationListElement', () => {
 		});
 	});
 
-	describe('configuration attributes', () => {
-		it('should use default trigger event', () => {
-			expect(element.triggerEvent).toBe('input');
+	describe('declarative rule types', () => {
+		const ruleMatched = (index = 0) =>
+			element
+				.querySelectorAll('li')
+				[index].classList.contains('validation-matched');
+
+		it('should pick up rules without data-pattern', () => {
+			setRules(`
+				<li data-min-length="3">At least 3 characters</li>
+				<li data-max-length="5">At most 5 characters</li>
+				<li data-min-count="digit:2">At least 2 digits</li>
+			`);
+			expect(element._rules.length).toBe(3);
 		});
 
-		it('should allow custom trigger event', () => {
-			element.setAttribute('trigger-event', 'blur');
-			expect(element.triggerEvent).toBe('blur');
-		});
+		it('should count length in grapheme clusters', () => {
+			setRules(`<li data-min-length="3">At least 3 characters</li>`);
 
-		it('should use default each-delay', () => {
-			expect(element.eachDelay).toBe(150);
+			input.value = '👍🏽👍🏽';
+			element.validate();
+			expect(ruleMatched()).toBe(false);
+
+			input.value = '👍🏽👍🏽e\u0301';
+			element.validate();
+			expect(ruleMatched()).toBe(true);
 		});
 
-		it('should use default input-throttle', () => {
-			expect(element.inputThrottle).toBe(250);
+		it('should enforce a maximum length', () => {
+			setRules(`<li data-max-length="2">At most 2 characters</li>`);
+
+			input.value = '👨‍👩‍👧👨‍👩‍👧';
+			element.validate();
+			expect(ruleMatched()).toBe(true);
+
+			input.value = 'abc';
+			element.validate();
+			expect(ruleMatched()).toBe(false);
 		});
 
-		it('should allow custom input-throttle', () => {
-			element.setAttribute('input-throttle', '40');
-			expect(element.inputThrottle).toBe(40);
+		it('should count characters by class', () => {
+			setRules(`
+				<li data-min-count="digit:2 symbol:1">Two digits and a symbol</li>
+				<li data-max-count="space:0">No spaces</li>
+			`);
+
+			input.value = 'a1!';
+			element.validate();
+			expect(ruleMatched(0)).toBe(false);
+			expect(ruleMatched(1)).toBe(true);
+
+			input.value = 'a1 2!';
+			element.validate();
+			expect(ruleMatched(0)).toBe(true);
+			expect(ruleMatched(1)).toBe(false);
 		});
 
-		it('should allow custom each-delay', () => {
-			element.setAttribute('each-delay', '200');
-			expect(element.eachDelay).toBe(200);
+		it('should require all rule attributes on an element to pass', () => {
+			setRules(
+				`<li data-pattern="^[a-z]+$" data-min-length="4">Four lowercase letters</li>`,
+			);
+
+			input.value = 'abc';
+			expect(element.validate()).toBe(false);
+
+			input.value = 'abcd';
+			expect(element.validate()).toBe(true);
 		});
 
-		it('should use default class names', () => {
-			expect(element.fieldInvalidClass).toBe('validation-invalid');
-			expect(element.fieldValidClass).toBe('validation-valid');
-			expect(element.ruleUnmatchedClass).toBe('validation-unmatched');
-			expect(element.ruleMatchedClass).toBe('validation-matched');
+		it('should never match an invalid count specification', () => {
+			const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+			try {
+				setRules(`<li data-min-count="emoji:1">One emoji</li>`);
+				input.value = '😀';
+				expect(element.validate()).toBe(false);
+				expect(warn).toHaveBeenCalled();
+			} finally {
+				warn.mockRestore();
+			}
 		});
+	});
 
-		it('should use default icon alt text', () => {
-			expect(element.ruleMatchedAlt).toBe('Criteria met');
-			expect(element.ruleUnmatchedAlt).toBe('Criteria not met');
+	describe('live rule updates', () => {
+		const nextMutation = () =>
+			new Promise((resolve) => setTimeout(resolve));
+
+		beforeEach(() => {
+			element.innerHTML = `
+				<ul>
+					<li data-pattern="[A-Z]">Capital letter</li>
+					<li data-pattern="[0-9]">Number</li>
+				</ul>
+			`;
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('input-throttle', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+			input.value = 'A';
+			element.validate();
 		});
 
-		it('should allow custom icon alt text', () => {
-			element.setAttribute('rule-matched-alt', 'Met');
-			element.setAttribute('rule-unmatched-alt', 'Not met');
-			expect(element.ruleMatchedAlt).toBe('Met');
-			expect(element.ruleUnmatchedAlt).toBe('Not met');
+		it('should pick up added rules and re-validate', async () => {
+			const item = document.createElement('li');
+			item.setAttribute('data-pattern', '[a-z]');
+			item.textContent = 'Lowercase letter';
+			element.querySelector('ul').append(item);
+			await nextMutation();
+
+			expect(element._rules.length).toBe(3);
+			expect(
+				item.querySelector(':scope > .form-validation-list-rule-icon'),
+			).toBeTruthy();
+			expect(
+				item.querySelector(':scope > .form-validation-list-rule-state'),
+			).toBeTruthy();
+			expect(item.getAttribute('aria-atomic')).toBe('true');
+			expect(item.classList.contains('validation-unmatched')).toBe(true);
 		});
 
-		it('should use default announcement template', () => {
-			expect(element.announcement).toBe(
-				'Criteria met: {matched} of {total}',
+		it('should only warn about missing rules when none arrive', async () => {
+			const warnSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			const late = document.createElement('form-validation-list');
+			late.setAttribute('for', 'test-input');
+			document.body.appendChild(late);
+			late.innerHTML = '<ul><li data-pattern="[a-z]">Lowercase</li></ul>';
+			const empty = document.createElement('form-validation-list');
+			empty.setAttribute('for', 'test-input');
+			document.body.appendChild(empty);
+			await nextMutation();
+
+			const noRulesWarnings = warnSpy.mock.calls.filter(([message]) =>
+				message.startsWith('form-validation-list: No rules found'),
 			);
+			expect(late._rules.length).toBe(1);
+			expect(noRulesWarnings.length).toBe(1);
+			warnSpy.mockRestore();
 		});
 
-		it('should allow custom announcement template', () => {
-			element.setAttribute('announcement', '{matched}/{total} ok');
-			expect(element.announcement).toBe('{matched}/{total} ok');
+		it('should drop removed rules', async () => {
+			element.querySelectorAll('li')[1].remove();
+			await nextMutation();
+
+			expect(element._rules.length).toBe(1);
+			expect(element.isValid).toBe(true);
 		});
 
-		it('should allow custom icons via attribute', () => {
-			element.setAttribute('rule-matched-icon', '✅');
-			element.setAttribute('rule-unmatched-icon', '❌');
-			expect(element.ruleMatchedIcon).toBe('✅');
-			expect(element.ruleUnmatchedIcon).toBe('❌');
+		it('should rebuild rules whose pattern changes', async () => {
+			const [capital] = element.querySelectorAll('li');
+			expect(capital.classList.contains('validation-matched')).toBe(true);
+
+			capital.setAttribute('data-pattern', '[a-z]');
+			await nextMutation();
+
+			expect(element._rules[0].pattern).toBe('[a-z]');
+			expect(capital.classList.contains('validation-unmatched')).toBe(
+				true,
+			);
 		});
 
-		it('should allow custom class names', () => {
-			element.setAttribute('field-invalid-class', 'custom-invalid');
-			element.setAttribute('field-valid-class', 'custom-valid');
-			element.setAttribute('rule-unmatched-class', 'custom-unmatched');
-			element.setAttribute('rule-matched-class', 'custom-matched');
+		it('should clean up items that stop being rules', async () => {
+			const [capital] = element.querySelectorAll('li');
+			capital.removeAttribute('data-pattern');
+			await nextMutation();
 
-			expect(element.fieldInvalidClass).toBe('custom-invalid');
-			expect(element.fieldValidClass).toBe('custom-valid');
-			expect(element.ruleUnmatchedClass).toBe('custom-unmatched');
-			expect(element.ruleMatchedClass).toBe('custom-matched');
+			expect(element._rules.length).toBe(1);
+			expect(capital.classList.contains('validation-matched')).toBe(
+				false,
+			);
+			expect(
+				capital.querySelector('.form-validation-list-rule-icon'),
+			).toBeNull();
 		});
 
-		it('should rebind validation handler when trigger-event changes', async () => {
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
-			element.setAttribute('each-delay', '0');
-			element.disconnectedCallback();
-			element.connectedCallback();
+		it('should set up validation when the first rule arrives', async () => {
+			const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+			try {
+				element.innerHTML = '<ul></ul>';
+				element.disconnectedCallback();
+				element.connectedCallback();
+				expect(element._rules.length).toBe(0);
 
-			element.setAttribute('trigger-event', 'blur');
-			input.value = 'TEST';
-			input.dispatchEvent(new Event('blur'));
+				element.querySelector('ul').innerHTML =
+					'<li data-pattern="[A-Z]">Capital letter</li>';
+				await nextMutation();
 
-			await waitFor(() => {
+				expect(element._rules.length).toBe(1);
+				expect(input.getAttribute('aria-describedby')).toContain(
+					element.querySelector('ul').id,
+				);
 				expect(
-					element
-						.querySelector('[data-pattern]')
-						.classList.contains('validation-matched'),
-				).toBe(true);
-			});
+					element.querySelector('.form-validation-list-live-region'),
+				).toBeTruthy();
+			} finally {
+				warn.mockRestore();
+			}
 		});
 
-		it('should refresh field classes when field-valid-class changes', async () => {
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
-			element.setAttribute('each-delay', '0');
-			element.disconnectedCallback();
-			element.connectedCallback();
-
-			input.value = 'TEST';
+		it('should ignore its own presentation updates', async () => {
+			const refresh = vi.spyOn(element, '_refreshRules');
+			input.value = 'A1';
 			input.dispatchEvent(new Event('input'));
-			await waitFor(() => {
-				expect(input.classList.contains('validation-valid')).toBe(true);
-			});
+			await nextMutation();
 
-			element.setAttribute('field-valid-class', 'custom-good');
-			await waitFor(() => {
-				expect(input.classList.contains('custom-good')).toBe(true);
-				expect(input.classList.contains('validation-valid')).toBe(
-					false,
-				);
-			});
+			expect(refresh).not.toHaveBeenCalled();
 		});
 
-		it('should refresh rule classes when rule-matched-class changes', async () => {
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
-			element.setAttribute('each-delay', '0');
+		it('should stop observing when disconnected', async () => {
 			element.disconnectedCallback();
-			element.connectedCallback();
+			expect(element._ruleObserver).toBeNull();
 
-			input.value = 'TEST';
-			input.dispatchEvent(new Event('input'));
-			await waitFor(() => {
-				expect(
-					element
-						.querySelector('[data-pattern]')
-						.classList.contains('validation-matched'),
-				).toBe(true);
-			});
+			const refresh = vi.spyOn(element, '_refreshRules');
+			element.querySelector('ul').innerHTML =
+				'<li data-pattern="x">X</li>';
+			await nextMutation();
+			expect(refresh).not.toHaveBeenCalled();
+		});
+	});
 
-			element.setAttribute('rule-matched-class', 'custom-match');
-			await waitFor(() => {
-				const rule = element.querySelector('[data-pattern]');
-				expect(rule.classList.contains('custom-match')).toBe(true);
-				expect(rule.classList.contains('validation-matched')).toBe(
-					false,
-				);
-			});
+	describe('pattern errors and flags', () => {
+		let warn;
+
+		beforeEach(() => {
+			warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
 		});
 
-		it('should throttle input-triggered validation and use latest value', () => {
-			vi.useFakeTimers();
+		afterEach(() => {
+			warn.mockRestore();
+		});
 
-			try {
-				element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
-				element.setAttribute('each-delay', '0');
-				element.setAttribute('input-throttle', '100');
-				element.disconnectedCallback();
-				element.connectedCallback();
+		it('should keep working when one pattern is malformed', () => {
+			expect(() =>
+				setRules(`
+					<li data-pattern="[A-Z">Broken</li>
+					<li data-pattern="[0-9]">Number</li>
+				`),
+			).not.toThrow();
 
-				const rule = element.querySelector('[data-pattern]');
+			const [broken, number] = element.querySelectorAll('li');
+			expect(input.getAttribute('aria-describedby')).toContain(
+				element.querySelector('ul').id,
+			);
+			expect(
+				element.querySelector('.form-validation-list-live-region'),
+			).toBeTruthy();
+			expect(broken.classList.contains('validation-error')).toBe(true);
+			expect(number.classList.contains('validation-error')).toBe(false);
 
-				input.value = 'abc';
-				input.dispatchEvent(new Event('input'));
+			input.value = '1';
+			element.validate();
+			expect(number.classList.contains('validation-matched')).toBe(true);
+			expect(broken.classList.contains('validation-unmatched')).toBe(
+				true,
+			);
+		});
 
-				input.value = 'ABC';
-				input.dispatchEvent(new Event('input'));
+		it('should let the remaining rules alone decide validity', () => {
+			setRules(`
+				<li data-pattern="[A-Z">Broken</li>
+				<li data-pattern="[0-9]">Number</li>
+			`);
 
-				expect(rule.classList.contains('validation-matched')).toBe(
-					false,
-				);
-				expect(rule.classList.contains('validation-unmatched')).toBe(
-					false,
-				);
+			input.value = 'a';
+			expect(element.validate()).toBe(false);
 
-				vi.advanceTimersByTime(100);
+			input.value = '1';
+			expect(element.validate()).toBe(true);
+			expect(input.validity.customError).toBe(false);
+		});
 
-				expect(rule.classList.contains('validation-matched')).toBe(
-					true,
-				);
-				expect(rule.classList.contains('validation-unmatched')).toBe(
-					false,
-				);
+		it('should dispatch a rule-error event for malformed patterns', () => {
+			const listener = vi.fn();
+			document.body.addEventListener(
+				'form-validation-list:rule-error',
+				listener,
+			);
+			try {
+				setRules(`<li data-pattern="(abc">Broken</li>`);
 			} finally {
-				vi.useRealTimers();
+				document.body.removeEventListener(
+					'form-validation-list:rule-error',
+					listener,
+				);
 			}
+
+			expect(listener).toHaveBeenCalledTimes(1);
+			const { detail } = listener.mock.calls[0][0];
+			expect(detail.pattern).toBe('(abc');
+			expect(detail.element).toBe(element.querySelector('li'));
+			expect(detail.message).toBeTruthy();
 		});
 
-		it('should not throttle blur trigger events', () => {
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
-			element.setAttribute('trigger-event', 'blur');
-			element.setAttribute('input-throttle', '1000');
-			element.setAttribute('each-delay', '0');
-			element.disconnectedCallback();
-			element.connectedCallback();
+		it('should compile patterns with data-flags', () => {
+			setRules(`
+				<li data-pattern="^secret$" data-flags="i">Case-insensitive</li>
+				<li data-pattern="^\\p{Lu}" data-flags="u">Starts uppercase</li>
+			`);
 
-			const rule = element.querySelector('[data-pattern]');
-			input.value = 'ABC';
-			input.dispatchEvent(new Event('blur'));
+			input.value = 'SECRET';
+			expect(element.validate()).toBe(true);
 
-			expect(rule.classList.contains('validation-matched')).toBe(true);
-			expect(rule.classList.contains('validation-unmatched')).toBe(false);
+			input.value = 'secret';
+			expect(element.validate()).toBe(false);
+		});
+
+		it('should reject unsupported flags as rule errors', () => {
+			const listener = vi.fn();
+			element.addEventListener(
+				'form-validation-list:rule-error',
+				listener,
+			);
+			setRules(`<li data-pattern="a" data-flags="g">Global</li>`);
+
+			expect(listener).toHaveBeenCalledTimes(1);
+			expect(listener.mock.calls[0][0].detail.flags).toBe('g');
+			expect(
+				element
+					.querySelector('li')
+					.classList.contains('validation-error'),
+			).toBe(true);
+		});
+
+		it('should remove the error class on cleanup', () => {
+			setRules(`<li data-pattern="[">Broken</li>`);
+			element.disconnectedCallback();
+			expect(
+				element
+					.querySelector('li')
+					.classList.contains('validation-error'),
+			).toBe(false);
 		});
 	});
 
-	describe('public API', () => {
+	describe('cross-field rules', () => {
+		let password;
+		let username;
+
 		beforeEach(() => {
+			password = document.createElement('input');
+			password.id = 'password';
+			username = document.createElement('input');
+			username.id = 'username';
+			document.body.prepend(password, username);
+
 			element.innerHTML = `
 				<ul>
-					<li data-pattern="[A-Z]+">Capital letter</li>
-					<li data-pattern="[0-9]+">Number</li>
+					<li data-equals="password">Matches the password</li>
+					<li data-not-contains-field="username">Doesn't contain your username</li>
 				</ul>
 			`;
+			element.setAttribute('each-delay', '0');
 			element.disconnectedCallback();
 			element.connectedCallback();
 		});
 
-		it('should provide validate() method', () => {
-			expect(typeof element.validate).toBe('function');
-		});
+		const rules = () => element.querySelectorAll('li');
 
-		it('validate() should return validation state', () => {
-			input.value = 'Test123';
-			const isValid = element.validate();
-			expect(typeof isValid).toBe('boolean');
-		});
+		it('should compare against the referenced field', () => {
+			password.value = 'Secret123';
+			username.value = 'aaron';
 
-		it('should provide isValid getter', () => {
-			input.value = 'Test123';
+			input.value = 'Secret12';
 			element.validate();
-			expect(typeof element.isValid).toBe('boolean');
-		});
-	});
+			expect(rules()[0].classList.contains('validation-unmatched')).toBe(
+				true,
+			);
 
-	describe('cleanup', () => {
-		it('should remove only this id from aria-describedby when disconnected', () => {
-			input.setAttribute('aria-describedby', 'existing-id');
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital</li></ul>`;
-			element.disconnectedCallback();
-			element.connectedCallback();
+			input.value = 'Secret123';
+			expect(element.validate()).toBe(true);
+		});
 
-			const listId = element.querySelector('ul, ol').id;
-			expect(input.getAttribute('aria-describedby')).toContain(
-				'existing-id',
+		it('should compare contained values case-insensitively', () => {
+			username.value = 'Aaron';
+			password.value = 'myAARONpass';
+			input.value = 'myAARONpass';
+			expect(element.validate()).toBe(false);
+			expect(rules()[1].classList.contains('validation-unmatched')).toBe(
+				true,
 			);
-			expect(input.getAttribute('aria-describedby')).toContain(listId);
+		});
 
-			element.disconnectedCallback();
+		it('should re-validate when a referenced field changes', () => {
+			password.value = 'Secret123';
+			input.value = 'Secret123';
+			expect(element.validate()).toBe(true);
 
-			expect(input.getAttribute('aria-describedby')).toBe('existing-id');
+			password.value = 'Secret1234';
+			password.dispatchEvent(new Event('input'));
+
+			expect(element.isValid).toBe(false);
+			expect(rules()[0].classList.contains('validation-unmatched')).toBe(
+				true,
+			);
 		});
 
-		it('should cleanup when disconnected', async () => {
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital</li></ul>`;
-			element.setAttribute('each-delay', '0');
+		it('should remove referenced field listeners on cleanup', () => {
+			password.value = 'Secret123';
+			input.value = 'Secret123';
+			element.validate();
+			const listener = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				listener,
+			);
+
 			element.disconnectedCallback();
-			element.connectedCallback();
+			password.dispatchEvent(new Event('input'));
 
-			input.value = 'Test';
-			input.dispatchEvent(new Event('input'));
-			await waitFor(() => {
+			expect(listener).not.toHaveBeenCalled();
+		});
+
+		it('should fail rules referencing a missing field', () => {
+			const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+			try {
+				element.innerHTML = `<ul><li data-equals="missing">Matches</li></ul>`;
+				element.disconnectedCallback();
+				element.connectedCallback();
+
+				input.value = 'abc';
+				expect(element.validate()).toBe(false);
+				expect(warn).toHaveBeenCalledWith(
+					expect.stringContaining('missing'),
+				);
+			} finally {
+				warn.mockRestore();
+			}
+		});
+	});
+
+	describe('advisory rules and groups', () => {
+		it('should show advisory rule state without blocking validity', () => {
+			setRules(`
+				<li data-pattern="[a-z]">Lowercase letter</li>
+				<li data-pattern=".{16,}" data-severity="advisory">16+ characters is even better</li>
+			`);
+			const listener = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				listener,
+			);
+
+			input.value = 'abc';
+			expect(element.validate()).toBe(true);
+			expect(input.validationMessage).toBe('');
+			expect(
+				element
+					.querySelectorAll('li')[1]
+					.classList.contains('validation-unmatched'),
+			).toBe(true);
+			expect(listener.mock.calls[0][0].detail.totalRules).toBe(1);
+		});
+
+		describe('N of M groups', () => {
+			beforeEach(() => {
+				setRules(`
+					<li data-min-length="8">At least 8 characters</li>
+					<li>
+						At least 3 of the following:
+						<ul data-require="3">
+							<li data-pattern="[A-Z]">Uppercase letter</li>
+							<li data-pattern="[a-z]">Lowercase letter</li>
+							<li data-pattern="[0-9]">Number</li>
+							<li data-pattern="[^A-Za-z0-9]">Symbol</li>
+						</ul>
+					</li>
+				`);
+			});
+
+			const groupItem = () =>
+				element.querySelector('ul > li:nth-child(2)');
+
+			it('should count a satisfied group as one rule', () => {
+				const listener = vi.fn();
+				element.addEventListener(
+					'form-validation-list:validated',
+					listener,
+				);
+
+				input.value = 'abcdefg1!';
+				expect(element.validate()).toBe(true);
+
+				const { detail } = listener.mock.calls[0][0];
+				expect(detail.matchedRules).toBe(2);
+				expect(detail.totalRules).toBe(2);
+			});
+
+			it('should mark the group item matched or unmatched', () => {
+				input.value = 'abcdefgh1';
+				expect(element.validate()).toBe(false);
+				expect(
+					groupItem().classList.contains('validation-unmatched'),
+				).toBe(true);
+				expect(
+					groupItem().querySelector(
+						':scope > .form-validation-list-rule-icon',
+					),
+				).toBeTruthy();
+
+				input.value = 'Abcdefgh1';
+				expect(element.validate()).toBe(true);
+				expect(
+					groupItem().classList.contains('validation-matched'),
+				).toBe(true);
+			});
+
+			it('should use group counts in the validation message', () => {
+				element.setAttribute(
+					'validation-message',
+					'{matched} of {total}',
+				);
+				input.value = 'abc';
+				element.validate();
+				expect(input.validationMessage).toBe('0 of 2');
+			});
+
+			it('should not let advisory members count toward a group', () => {
+				element
+					.querySelector('[data-pattern="[^A-Za-z0-9]"]')
+					.setAttribute('data-severity', 'advisory');
+				element.disconnectedCallback();
+				element.connectedCallback();
+
+				input.value = 'abcdefgh!';
+				element.validate();
+				expect(
+					groupItem().classList.contains('validation-unmatched'),
+				).toBe(true);
+			});
+
+			it('should require every member when data-require is empty', () => {
+				element.querySelector('[data-require]').dataset.require = '';
+				element.disconnectedCallback();
+				element.connectedCallback();
+
+				input.value = 'Abcdefgh1';
+				expect(element.validate()).toBe(false);
+
+				input.value = 'Abcdefgh1!';
+				expect(element.validate()).toBe(true);
+			});
+
+			it('should remove group classes on cleanup', () => {
+				input.value = 'Abcdefgh1';
+				element.validate();
+				element.disconnectedCallback();
+				expect(
+					groupItem().classList.contains('validation-matched'),
+				).toBe(false);
+			});
+		});
+	});
+
+	describe('strength scoring', () => {
+		beforeEach(() => {
+			setRules(`
+				<li data-min-length="8" data-weight="2">At least 8 characters</li>
+				<li data-pattern="[A-Z]">Uppercase letter</li>
+				<li data-pattern="[0-9]">Number</li>
+				<li data-min-length="16" data-severity="advisory">16 or more characters</li>
+			`);
+		});
+
+		it('should compute a weighted, normalized score', () => {
+			input.value = 'abcdefgh';
+			element.validate();
+			expect(element.strength.score).toBeCloseTo(2 / 5);
+			expect(element.strength.label).toBe('Weak');
+
+			input.value = 'Abcdefgh1';
+			element.validate();
+			expect(element.strength.score).toBeCloseTo(4 / 5);
+			expect(element.strength.label).toBe('Strong');
+		});
+
+		it('should use configurable thresholds and labels', () => {
+			element.setAttribute('strength-thresholds', '0.25 0.5 0.75');
+			element.setAttribute(
+				'strength-labels',
+				'Faible, Moyen, Bon, Très bon',
+			);
+
+			input.value = 'Abcdefgh';
+			element.validate();
+			expect(element.strength).toEqual({ score: 0.6, label: 'Bon' });
+		});
+
+		it('should include strength in the validated event', () => {
+			const listener = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				listener,
+			);
+
+			input.value = 'abcdefgh1';
+			element.validate();
+
+			expect(listener.mock.calls[0][0].detail.strength).toEqual({
+				score: 0.6,
+				label: 'Fair',
+			});
+		});
+
+		it('should expose strength as a read-only property', () => {
+			expect(element.strength).toEqual({ score: 0, label: 'Weak' });
+			expect(() => {
+				element.strength = { score: 1 };
+			}).toThrow(TypeError);
+		});
+
+		it('should render an optional meter', () => {
+			expect(element.querySelector('meter')).toBeNull();
+
+			element.setAttribute('strength-meter', '');
+			const meter = element.querySelector(
+				'meter.form-validation-list-strength',
+			);
+			expect(meter).toBeTruthy();
+			expect(meter.getAttribute('aria-label')).toBe('Strength');
+			expect(meter.nextElementSibling).toBe(
+				element.querySelector('.form-validation-list-live-region'),
+			);
+
+			input.value = 'abcdefgh1';
+			element.validate();
+			expect(meter.value).toBeCloseTo(0.6);
+			expect(meter.getAttribute('aria-valuetext')).toBe('Fair');
+
+			element.removeAttribute('strength-meter');
+			expect(element.querySelector('meter')).toBeNull();
+		});
+
+		it('should remove the meter on cleanup', () => {
+			element.strengthMeter = true;
+			element.disconnectedCallback();
+			expect(element.querySelector('meter')).toBeNull();
+		});
+	});
+
+	describe('custom rule registry', () => {
+		it('should validate with a registered rule', () => {
+			FormValidationListElement.registerRule('test-luhn', (value) => {
+				const digits = value.replace(/\D/g, '');
+				let sum = 0;
+				for (let i = 0; i < digits.length; i++) {
+					let digit = Number(digits[digits.length - 1 - i]);
+					if (i % 2 === 1) {
+						digit *= 2;
+						if (digit > 9) digit -= 9;
+					}
+					sum += digit;
+				}
+				return digits.length > 0 && sum % 10 === 0;
+			});
+			setRules(`<li data-rule="test-luhn">Valid card number</li>`);
+
+			input.value = '4111 1111 1111 1111';
+			expect(element.validate()).toBe(true);
+
+			input.value = '4111 1111 1111 1112';
+			expect(element.validate()).toBe(false);
+			expect(
+				element
+					.querySelector('li')
+					.classList.contains('validation-unmatched'),
+			).toBe(true);
+		});
+
+		it('should pass data-rule-* params and context to the validator', () => {
+			const validator = vi.fn(() => true);
+			FormValidationListElement.registerRule('test-context', validator);
+			setRules(
+				`<li data-rule="test-context" data-rule-other-field="email" data-rule-min="2">Rule</li>`,
+			);
+
+			input.value = 'abc';
+			element.validate();
+
+			const [value, context] = validator.mock.calls.at(-1);
+			expect(value).toBe('abc');
+			expect(context.params).toEqual({ otherField: 'email', min: '2' });
+			expect(context.element).toBe(element.querySelector('li'));
+			expect(context.field).toBe(input);
+			expect(context.list).toBe(element);
+		});
+
+		it('should warn and fail for unknown rule names', () => {
+			const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+			try {
+				expect(() =>
+					setRules(`<li data-rule="test-missing">Missing rule</li>`),
+				).not.toThrow();
+
+				input.value = 'abc';
+				expect(element.validate()).toBe(false);
+				expect(
+					element
+						.querySelector('li')
+						.classList.contains('validation-unmatched'),
+				).toBe(true);
+				expect(warn).toHaveBeenCalledWith(
+					expect.stringContaining('test-missing'),
+				);
+			} finally {
+				warn.mockRestore();
+			}
+		});
+
+		describe('asynchronous rules', () => {
+			let calls;
+
+			beforeEach(() => {
+				calls = [];
+				FormValidationListElement.registerRule(
+					'test-available',
+					(value, { signal }) =>
+						new Promise((resolve) => {
+							calls.push({ value, signal, resolve });
+						}),
+				);
+				setRules(
+					`<li data-rule="test-available">Username available</li>`,
+				);
+			});
+
+			it('should show a pending state until the check settles', async () => {
+				const rule = element.querySelector('li');
+				input.value = 'aaron';
+				expect(element.validate()).toBe(false);
+
+				expect(rule.classList.contains('validation-pending')).toBe(
+					true,
+				);
+				expect(rule.classList.contains('validation-matched')).toBe(
+					false,
+				);
+				expect(
+					rule.querySelector('.form-validation-list-rule-state')
+						.textContent,
+				).toBe('Checking ');
+				expect(input.validationMessage).toBeTruthy();
+				expect(input.classList.contains('validation-invalid')).toBe(
+					false,
+				);
+
+				calls[0].resolve(true);
+				await waitFor(() => {
+					expect(rule.classList.contains('validation-matched')).toBe(
+						true,
+					);
+				});
+				expect(rule.classList.contains('validation-pending')).toBe(
+					false,
+				);
+				expect(element.isValid).toBe(true);
+				expect(input.validationMessage).toBe('');
+			});
+
+			it('should report pending rules in the validated event', () => {
+				const listener = vi.fn();
+				element.addEventListener(
+					'form-validation-list:validated',
+					listener,
+				);
+				input.value = 'aaron';
+				element.validate();
+				expect(listener.mock.calls[0][0].detail.pendingRules).toBe(1);
+			});
+
+			it('should not re-run the check for an unchanged value', () => {
+				input.value = 'aaron';
+				element.validate();
+				element.validate();
+				expect(calls.length).toBe(1);
+			});
+
+			it('should abort stale checks when the value changes', async () => {
+				const rule = element.querySelector('li');
+				input.value = 'aaron';
+				element.validate();
+				input.value = 'aaron2';
+				element.validate();
+
+				expect(calls.length).toBe(2);
+				expect(calls[0].signal.aborted).toBe(true);
+				expect(calls[1].signal.aborted).toBe(false);
+
+				calls[0].resolve(true);
+				await Promise.resolve();
+				await Promise.resolve();
+				expect(rule.classList.contains('validation-pending')).toBe(
+					true,
+				);
+
+				calls[1].resolve(false);
+				await waitFor(() => {
+					expect(
+						rule.classList.contains('validation-unmatched'),
+					).toBe(true);
+				});
+				expect(element.isValid).toBe(false);
+			});
+
+			it('should abort pending checks on cleanup', () => {
+				input.value = 'aaron';
+				element.validate();
+				element.disconnectedCallback();
+				expect(calls[0].signal.aborted).toBe(true);
+			});
+		});
+
+		it('should reject invalid registrations', () => {
+			expect(() =>
+				FormValidationListElement.registerRule('', () => true),
+			).toThrow(TypeError);
+			expect(() =>
+				FormValidationListElement.registerRule('test-bad', 'nope'),
+			).toThrow(TypeError);
+		});
+	});
+
+	describe('field lookup', () => {
+		const createList = (attributes) => {
+			const list = document.createElement('form-validation-list');
+			for (const [name, value] of Object.entries(attributes)) {
+				list.setAttribute(name, value);
+			}
+			list.innerHTML = `<ul><li data-min-length="3">Three characters</li></ul>`;
+			return list;
+		};
+
+		it('should resolve for against its shadow root before the document', () => {
+			const host = document.createElement('div');
+			document.body.appendChild(host);
+			const shadowRoot = host.attachShadow({ mode: 'open' });
+			const shadowInput = document.createElement('input');
+			shadowInput.id = 'test-input';
+			shadowRoot.appendChild(shadowInput);
+
+			const list = createList({ for: 'test-input' });
+			shadowRoot.appendChild(list);
+
+			expect(list.field).toBe(shadowInput);
+			expect(shadowInput.hasAttribute('aria-describedby')).toBe(true);
+		});
+
+		it('should resolve for-name within the closest form', () => {
+			document.body.innerHTML = `
+				<form><input name="password"></form>
+				<form><input name="password"></form>`;
+			const forms = document.querySelectorAll('form');
+			const lists = Array.from(forms).map((form) => {
+				const list = createList({ 'for-name': 'password' });
+				form.appendChild(list);
+				return list;
+			});
+
+			expect(lists[0].field).toBe(forms[0].querySelector('input'));
+			expect(lists[1].field).toBe(forms[1].querySelector('input'));
+
+			forms[1].querySelector('input').value = 'abc';
+			expect(lists[0].validate()).toBe(false);
+			expect(lists[1].validate()).toBe(true);
+		});
+
+		it('should wrap the single form control inside it when for is absent', () => {
+			const list = document.createElement('form-validation-list');
+			list.innerHTML = `
+				<label>Password <input type="password"></label>
+				<ul><li data-min-length="3">Three characters <input type="checkbox" aria-label="Decoy"></li></ul>`;
+			document.body.appendChild(list);
+
+			const wrapped = list.querySelector('input[type="password"]');
+			expect(list.field).toBe(wrapped);
+			expect(wrapped.getAttribute('aria-describedby')).toBe(
+				list.querySelector('ul').id,
+			);
+
+			wrapped.value = 'abc';
+			expect(list.validate()).toBe(true);
+		});
+
+		it('should wrap its control under a custom tag name', () => {
+			if (!customElements.get('test-wrapping-list')) {
+				customElements.define(
+					'test-wrapping-list',
+					class extends FormValidationListElement {},
+				);
+			}
+			const list = document.createElement('test-wrapping-list');
+			list.innerHTML = `
+				<input type="password" aria-label="Password">
+				<ul><li data-min-length="3">Three characters</li></ul>`;
+			document.body.appendChild(list);
+
+			const wrapped = list.querySelector('input');
+			expect(list.field).toBe(wrapped);
+			wrapped.value = 'abc';
+			expect(list.validate()).toBe(true);
+		});
+
+		it('should treat a wrapped checkbox group as one control', () => {
+			const list = document.createElement('form-validation-list');
+			list.innerHTML = `
+				<label><input type="checkbox" name="terms"> Privacy</label>
+				<label><input type="checkbox" name="terms"> Service</label>
+				<ul><li data-min-selected="2">Accept both</li></ul>`;
+			document.body.appendChild(list);
+
+			expect(list.field).toBe(list.querySelector('input'));
+			expect(list._fieldMembers.length).toBe(2);
+		});
+
+		it('should warn instead of guessing between several wrapped controls', () => {
+			const warnSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			const list = document.createElement('form-validation-list');
+			list.innerHTML = `
+				<input name="first"><input name="second">
+				<ul><li data-min-length="3">Three characters</li></ul>`;
+			document.body.appendChild(list);
+
+			expect(list.field).toBe(null);
+			expect(warnSpy).toHaveBeenCalledWith(
+				'form-validation-list: Found 2 form controls inside the element; use "for" or "for-name" to choose one',
+			);
+			warnSpy.mockRestore();
+		});
+
+		it('should prefer for-name over for', () => {
+			const named = document.createElement('input');
+			named.name = 'named';
+			document.body.appendChild(named);
+
+			element.setAttribute('for-name', 'named');
+
+			expect(element.forName).toBe('named');
+			expect(element.field).toBe(named);
+		});
+
+		it('should warn when no field has the for-name', () => {
+			const warnSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			element.forName = 'missing';
+
+			expect(element.field).toBe(null);
+			expect(warnSpy).toHaveBeenCalledWith(
+				'form-validation-list: Could not find field with name="missing"',
+			);
+			warnSpy.mockRestore();
+		});
+
+		it('should validate an element assigned to the field property', () => {
+			const other = document.createElement('input');
+			document.body.appendChild(other);
+			element.innerHTML = `<ul><li data-min-length="3">Three characters</li></ul>`;
+
+			element.field = other;
+
+			expect(element.field).toBe(other);
+			other.value = 'abc';
+			expect(element.validate()).toBe(true);
+			expect(other.classList.contains('validation-valid')).toBe(true);
+
+			element.field = null;
+			expect(element.field).toBe(input);
+			expect(other.classList.contains('validation-valid')).toBe(false);
+		});
+	});
+
+	describe('late and replaced fields', () => {
+		beforeEach(() => {
+			element.innerHTML = `<ul><li data-min-length="3">Three characters</li></ul>`;
+			element.setAttribute('each-delay', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+		});
+
+		it('should bind to a field that appears after the element', async () => {
+			const warnSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			const connected = vi.fn();
+			const list = document.createElement('form-validation-list');
+			list.setAttribute('for', 'late-field');
+			list.innerHTML = `<ul><li data-min-length="3">Three characters</li></ul>`;
+			list.addEventListener(
+				'form-validation-list:field-connected',
+				connected,
+			);
+			document.body.appendChild(list);
+			expect(list.field).toBe(null);
+
+			const late = document.createElement('input');
+			late.id = 'late-field';
+			late.value = 'abc';
+			document.body.appendChild(late);
+
+			await waitFor(() => {
+				expect(list.field).toBe(late);
+			});
+			expect(connected).toHaveBeenCalledTimes(1);
+			expect(connected.mock.calls[0][0].detail.field).toBe(late);
+			expect(late.getAttribute('aria-describedby')).toBe(
+				list.querySelector('ul').id,
+			);
+			expect(late.classList.contains('validation-valid')).toBe(true);
+			warnSpy.mockRestore();
+		});
+
+		it('should move to a replacement field node', async () => {
+			const connected = vi.fn();
+			element.addEventListener(
+				'form-validation-list:field-connected',
+				connected,
+			);
+			input.value = 'ab';
+			element.validate();
+			expect(input.classList.contains('validation-invalid')).toBe(true);
+
+			const replacement = document.createElement('input');
+			replacement.id = 'test-input';
+			input.replaceWith(replacement);
+
+			await waitFor(() => {
+				expect(element.field).toBe(replacement);
+			});
+			expect(connected).toHaveBeenCalledTimes(1);
+			expect(replacement.getAttribute('aria-describedby')).toBe(
+				element.querySelector('ul').id,
+			);
+			expect(replacement.classList.contains('validation-invalid')).toBe(
+				true,
+			);
+			expect(input.classList.contains('validation-invalid')).toBe(false);
+			expect(input.hasAttribute('aria-describedby')).toBe(false);
+
+			const validate = vi.spyOn(element, '_validateField');
+			input.value = 'abcd';
+			input.dispatchEvent(new Event('blur'));
+			expect(validate).not.toHaveBeenCalled();
+		});
+
+		it('should ignore mutations that cannot change the field', async () => {
+			const resolve = vi.spyOn(element, '_resolveField');
+			element.setAttribute('input-throttle', '0');
+			const flush = () => new Promise((done) => setTimeout(done, 0));
+
+			for (const value of ['a', 'ab', 'abc', 'abcd']) {
+				input.value = value;
+				input.dispatchEvent(new Event('input'));
+			}
+			for (let i = 0; i < 5; i++) {
+				document.body.appendChild(document.createElement('div'));
+			}
+			await flush();
+			expect(resolve).not.toHaveBeenCalled();
+
+			const other = document.createElement('input');
+			other.id = 'test-input';
+			document.body.prepend(other);
+			await flush();
+			expect(resolve).toHaveBeenCalled();
+		});
+
+		it('should unbind from a field that is removed', async () => {
+			input.remove();
+
+			await waitFor(() => {
+				expect(element.field).toBe(null);
+			});
+			expect(input.hasAttribute('aria-describedby')).toBe(false);
+		});
+	});
+
+	describe('field kinds', () => {
+		const mount = (markup, rules) => {
+			document.body.innerHTML = markup;
+			const list = document.createElement('form-validation-list');
+			list.setAttribute('for', 'kind-field');
+			list.setAttribute('each-delay', '0');
+			list.setAttribute('input-throttle', '0');
+			list.innerHTML = `<ul>${rules}</ul>`;
+			document.body.appendChild(list);
+			return list;
+		};
+
+		it('should validate a textarea by its value', () => {
+			const list = mount(
+				'<textarea id="kind-field"></textarea>',
+				'<li data-min-length="5">Five characters</li>',
+			);
+			const textarea = document.getElementById('kind-field');
+
+			textarea.value = 'Hello';
+			expect(list.validate()).toBe(true);
+		});
+
+		it('should count the selected options of a multiple select', () => {
+			const list = mount(
+				`<select id="kind-field" multiple>
+					<option value="art">Art</option>
+					<option value="music">Music</option>
+					<option value="sport">Sport</option>
+				</select>`,
+				'<li data-min-selected="2">Choose at least 2 interests</li>',
+			);
+			const select = document.getElementById('kind-field');
+
+			select.options[0].selected = true;
+			expect(list.validate()).toBe(false);
+
+			select.options[2].selected = true;
+			expect(list.validate()).toBe(true);
+			expect(list.classList.contains('has-value')).toBe(true);
+		});
+
+		it('should ignore a placeholder option with an empty value', () => {
+			const list = mount(
+				`<select id="kind-field">
+					<option value="">Choose…</option>
+					<option value="a">A</option>
+				</select>`,
+				'<li data-min-selected="1">Choose one</li>',
+			);
+
+			expect(list.validate()).toBe(false);
+			expect(list.classList.contains('has-value')).toBe(false);
+		});
+
+		it('should validate every checkbox sharing a name and listen to each', () => {
+			const list = mount(
+				`<form>
+					<input type="checkbox" id="kind-field" name="terms" value="privacy">
+					<input type="checkbox" id="other-term" name="terms" value="service">
+				</form>`,
+				'<li data-min-selected="2">Accept both terms</li>',
+			);
+			const [first, second] = document.querySelectorAll('input');
+			const listId = list.querySelector('ul').id;
+			expect(first.getAttribute('aria-describedby')).toBe(listId);
+			expect(second.getAttribute('aria-describedby')).toBe(listId);
+
+			first.checked = true;
+			first.dispatchEvent(new Event('input'));
+			expect(list.isValid).toBe(false);
+			expect(second.classList.contains('validation-invalid')).toBe(true);
+
+			second.checked = true;
+			second.dispatchEvent(new Event('input'));
+			expect(list.isValid).toBe(true);
+			expect(first.classList.contains('validation-valid')).toBe(true);
+			expect(second.classList.contains('validation-valid')).toBe(true);
+		});
+
+		it('should validate a radio group by its checked value', () => {
+			const list = mount(
+				`<input type="radio" id="kind-field" name="plan" value="basic">
+				<input type="radio" name="plan" value="pro">`,
+				'<li data-pattern="^pro$">Choose the pro plan</li>',
+			);
+			const [basic, pro] = document.querySelectorAll('input');
+
+			basic.checked = true;
+			expect(list.validate()).toBe(false);
+
+			pro.checked = true;
+			expect(list.validate()).toBe(true);
+		});
+
+		it('should validate a contenteditable element by its text content', () => {
+			const list = mount(
+				'<div id="kind-field" contenteditable="true"></div>',
+				'<li data-min-length="3">Three characters</li>',
+			);
+			const editor = document.getElementById('kind-field');
+
+			editor.innerHTML = '<b>Hi</b>';
+			expect(list.validate()).toBe(false);
+
+			editor.innerHTML = '<b>Hi</b> there';
+			editor.dispatchEvent(new Event('input'));
+			expect(list.isValid).toBe(true);
+			expect(editor.classList.contains('validation-valid')).toBe(true);
+		});
+
+		it('should remove listeners and state from every member on cleanup', () => {
+			const list = mount(
+				`<input type="checkbox" id="kind-field" name="terms">
+				<input type="checkbox" name="terms">`,
+				'<li data-max-selected="1">At most one</li>',
+			);
+			const [, second] = document.querySelectorAll('input');
+			second.checked = true;
+			list.validate();
+
+			list.remove();
+			expect(second.classList.contains('validation-valid')).toBe(false);
+			expect(second.hasAttribute('aria-describedby')).toBe(false);
+		});
+	});
+
+	describe('configuration attributes', () => {
+		it('should use default trigger event', () => {
+			expect(element.triggerEvent).toBe('input');
+		});
+
+		it('should allow custom trigger event', () => {
+			element.setAttribute('trigger-event', 'blur');
+			expect(element.triggerEvent).toBe('blur');
+		});
+
+		it('should use default each-delay', () => {
+			expect(element.eachDelay).toBe(150);
+		});
+
+		it('should use default input-throttle', () => {
+			expect(element.inputThrottle).toBe(250);
+		});
+
+		it('should allow custom input-throttle', () => {
+			element.setAttribute('input-throttle', '40');
+			expect(element.inputThrottle).toBe(40);
+		});
+
+		it('should allow custom each-delay', () => {
+			element.setAttribute('each-delay', '200');
+			expect(element.eachDelay).toBe(200);
+		});
+
+		it('should use default class names', () => {
+			expect(element.fieldInvalidClass).toBe('validation-invalid');
+			expect(element.fieldValidClass).toBe('validation-valid');
+			expect(element.ruleUnmatchedClass).toBe('validation-unmatched');
+			expect(element.ruleMatchedClass).toBe('validation-matched');
+		});
+
+		it('should use default icon alt text', () => {
+			expect(element.ruleMatchedAlt).toBe('Criteria met');
+			expect(element.ruleUnmatchedAlt).toBe('Criteria not met');
+		});
+
+		it('should allow custom icon alt text', () => {
+			element.setAttribute('rule-matched-alt', 'Met');
+			element.setAttribute('rule-unmatched-alt', 'Not met');
+			expect(element.ruleMatchedAlt).toBe('Met');
+			expect(element.ruleUnmatchedAlt).toBe('Not met');
+		});
+
+		it('should use default announcement template', () => {
+			expect(element.announcement).toBe(
+				'Criteria met: {matched} of {total}',
+			);
+		});
+
+		it('should allow custom announcement template', () => {
+			element.setAttribute('announcement', '{matched}/{total} ok');
+			expect(element.announcement).toBe('{matched}/{total} ok');
+		});
+
+		it('should allow custom icons via attribute', () => {
+			element.setAttribute('rule-matched-icon', '✅');
+			element.setAttribute('rule-unmatched-icon', '❌');
+			expect(element.ruleMatchedIcon).toBe('✅');
+			expect(element.ruleUnmatchedIcon).toBe('❌');
+		});
+
+		it('should allow custom class names', () => {
+			element.setAttribute('field-invalid-class', 'custom-invalid');
+			element.setAttribute('field-valid-class', 'custom-valid');
+			element.setAttribute('rule-unmatched-class', 'custom-unmatched');
+			element.setAttribute('rule-matched-class', 'custom-matched');
+
+			expect(element.fieldInvalidClass).toBe('custom-invalid');
+			expect(element.fieldValidClass).toBe('custom-valid');
+			expect(element.ruleUnmatchedClass).toBe('custom-unmatched');
+			expect(element.ruleMatchedClass).toBe('custom-matched');
+		});
+
+		it('should rebind validation handler when trigger-event changes', async () => {
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
+			element.setAttribute('each-delay', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			element.setAttribute('trigger-event', 'blur');
+			input.value = 'TEST';
+			input.dispatchEvent(new Event('blur'));
+
+			await waitFor(() => {
+				expect(
+					element
+						.querySelector('[data-pattern]')
+						.classList.contains('validation-matched'),
+				).toBe(true);
+			});
+		});
+
+		it('should refresh field classes when field-valid-class changes', async () => {
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
+			element.setAttribute('each-delay', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			input.value = 'TEST';
+			input.dispatchEvent(new Event('input'));
+			await waitFor(() => {
+				expect(input.classList.contains('validation-valid')).toBe(true);
+			});
+
+			element.setAttribute('field-valid-class', 'custom-good');
+			await waitFor(() => {
+				expect(input.classList.contains('custom-good')).toBe(true);
+				expect(input.classList.contains('validation-valid')).toBe(
+					false,
+				);
+			});
+		});
+
+		it('should refresh rule classes when rule-matched-class changes', async () => {
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
+			element.setAttribute('each-delay', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			input.value = 'TEST';
+			input.dispatchEvent(new Event('input'));
+			await waitFor(() => {
+				expect(
+					element
+						.querySelector('[data-pattern]')
+						.classList.contains('validation-matched'),
+				).toBe(true);
+			});
+
+			element.setAttribute('rule-matched-class', 'custom-match');
+			await waitFor(() => {
+				const rule = element.querySelector('[data-pattern]');
+				expect(rule.classList.contains('custom-match')).toBe(true);
+				expect(rule.classList.contains('validation-matched')).toBe(
+					false,
+				);
+			});
+		});
+
+		it('should throttle input-triggered validation and use latest value', () => {
+			vi.useFakeTimers();
+
+			try {
+				element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
+				element.setAttribute('each-delay', '0');
+				element.setAttribute('input-throttle', '100');
+				element.disconnectedCallback();
+				element.connectedCallback();
+
+				const rule = element.querySelector('[data-pattern]');
+
+				input.value = 'abc';
+				input.dispatchEvent(new Event('input'));
+
+				input.value = 'ABC';
+				input.dispatchEvent(new Event('input'));
+
+				expect(rule.classList.contains('validation-matched')).toBe(
+					false,
+				);
+				expect(rule.classList.contains('validation-unmatched')).toBe(
+					false,
+				);
+
+				vi.advanceTimersByTime(100);
+
+				expect(rule.classList.contains('validation-matched')).toBe(
+					true,
+				);
+				expect(rule.classList.contains('validation-unmatched')).toBe(
+					false,
+				);
+			} finally {
+				vi.useRealTimers();
+			}
+		});
+
+		it('should not throttle blur trigger events', () => {
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital letter</li></ul>`;
+			element.setAttribute('trigger-event', 'blur');
+			element.setAttribute('input-throttle', '1000');
+			element.setAttribute('each-delay', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			const rule = element.querySelector('[data-pattern]');
+			input.value = 'ABC';
+			input.dispatchEvent(new Event('blur'));
+
+			expect(rule.classList.contains('validation-matched')).toBe(true);
+			expect(rule.classList.contains('validation-unmatched')).toBe(false);
+		});
+	});
+
+	describe('public API', () => {
+		beforeEach(() => {
+			element.innerHTML = `
+				<ul>
+					<li data-pattern="[A-Z]+">Capital letter</li>
+					<li data-pattern="[0-9]+">Number</li>
+				</ul>
+			`;
+			element.disconnectedCallback();
+			element.connectedCallback();
+		});
+
+		it('should provide validate() method', () => {
+			expect(typeof element.validate).toBe('function');
+		});
+
+		it('validate() should return validation state', () => {
+			input.value = 'Test123';
+			const isValid = element.validate();
+			expect(typeof isValid).toBe('boolean');
+		});
+
+		it('should provide isValid getter', () => {
+			input.value = 'Test123';
+			element.validate();
+			expect(typeof element.isValid).toBe('boolean');
+		});
+	});
+
+	describe('auto rules', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('auto-rules', '');
+		});
+
+		const labels = () => element.getRules().map(({ label }) => label);
+
+		it('should generate rules from constraint attributes', () => {
+			input.type = 'email';
+			input.required = true;
+			input.setAttribute('minlength', '6');
+			input.setAttribute('maxlength', '40');
+			document.body.appendChild(element);
+
+			expect(element.autoRules).toBe(true);
+			expect(labels()).toEqual([
+				'Required',
+				'At least 6 characters',
+				'At most 40 characters',
+				'A valid email address',
+			]);
+			expect(
+				Array.from(element.querySelectorAll('li'), (li) =>
+					li.getAttribute('data-auto-rule'),
+				),
+			).toEqual(['required', 'minlength', 'maxlength', 'email']);
+		});
+
+		it('should agree with native validation', () => {
+			input.type = 'email';
+			input.required = true;
+			input.setAttribute('minlength', '6');
+			document.body.appendChild(element);
+
+			input.value = 'a@b';
+			expect(element.validate()).toBe(false);
+			expect(element.validity.valid).toBe(false);
+
+			input.value = 'ada@example.com';
+			expect(element.validate()).toBe(true);
+			expect(element.validity.valid).toBe(true);
+		});
+
+		it('should use the field title for pattern rules and check min and max', () => {
+			input.setAttribute('pattern', '[A-Z]{3}');
+			input.title = 'Three capital letters';
+			document.body.appendChild(element);
+			expect(labels()).toEqual(['Three capital letters']);
+
+			input.value = 'abc';
+			expect(element.validate()).toBe(false);
+			input.value = 'ABC';
+			expect(element.validate()).toBe(true);
+
+			const quantity = document.createElement('input');
+			quantity.type = 'number';
+			quantity.min = '1';
+			quantity.max = '10';
+			document.body.appendChild(quantity);
+			element.field = quantity;
+			expect(labels()).toEqual(['No less than 1', 'No more than 10']);
+
+			quantity.value = '11';
+			expect(element.validate()).toBe(false);
+			quantity.value = '5';
+			expect(element.validate()).toBe(true);
+		});
+
+		it('should keep authored items and add the missing ones', () => {
+			input.required = true;
+			input.setAttribute('minlength', '8');
+			element.innerHTML = `<ul>
+				<li data-auto-rule="minlength">Au moins 8 caractères</li>
+				<li data-pattern="[0-9]">Un chiffre</li>
+			</ul>`;
+			document.body.appendChild(element);
+
+			expect(labels()).toEqual([
+				'Au moins 8 caractères',
+				'Un chiffre',
+				'Required',
+			]);
+		});
+
+		it('should stay in sync as constraint attributes change', async () => {
+			input.setAttribute('minlength', '6');
+			document.body.appendChild(element);
+
+			input.setAttribute('minlength', '10');
+			input.required = true;
+			await waitFor(() => {
+				expect(labels()).toEqual([
+					'At least 10 characters',
+					'Required',
+				]);
+			});
+			expect(element._rules.length).toBe(2);
+
+			input.removeAttribute('minlength');
+			await waitFor(() => {
+				expect(labels()).toEqual(['Required']);
+			});
+		});
+
+		it('should remove generated items when turned off', () => {
+			input.required = true;
+			document.body.appendChild(element);
+			expect(element._rules.length).toBe(1);
+
+			element.autoRules = false;
+
+			expect(element.querySelector('[data-auto-rule]')).toBe(null);
+			expect(element._rules.length).toBe(0);
+		});
+	});
+
+	describe('submit interception', () => {
+		let form;
+
+		beforeEach(() => {
+			form = document.createElement('form');
+			document.body.appendChild(form);
+			form.appendChild(input);
+			element.innerHTML = `<ul>
+				<li data-min-length="8">Eight characters</li>
+				<li data-pattern="[0-9]">A digit</li>
+			</ul>`;
+			element.setAttribute('intercept-submit', '');
+			form.appendChild(element);
+		});
+
+		// Press Enter in the field, then report it invalid as a browser
+		// blocking that submit would
+		const attemptSubmit = (field = input) => {
+			field.dispatchEvent(
+				new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }),
+			);
+			const invalid = new Event('invalid', { cancelable: true });
+			field.dispatchEvent(invalid);
+			return invalid;
+		};
+
+		it('should reflect the intercept-submit attribute', () => {
+			expect(element.interceptSubmit).toBe(true);
+			element.interceptSubmit = false;
+			expect(element.hasAttribute('intercept-submit')).toBe(false);
+		});
+
+		it('should suppress the native bubble and take over an invalid field', () => {
+			input.value = 'abc1';
+			input.dispatchEvent(new Event('input'));
+			expect(input.hasAttribute('aria-describedby')).toBe(false);
+
+			const invalid = attemptSubmit();
+
+			expect(invalid.defaultPrevented).toBe(true);
+			expect(input.getAttribute('aria-describedby')).toBe(
+				element.querySelector('ul').id,
+			);
+			const [length, digit] = element.querySelectorAll('li');
+			expect(length.classList.contains('validation-emphasis')).toBe(true);
+			expect(length.classList.contains('validation-unmatched')).toBe(
+				true,
+			);
+			expect(digit.classList.contains('validation-emphasis')).toBe(false);
+			expect(document.activeElement).toBe(input);
+
+			const liveRegion = element.querySelector(
+				'.form-validation-list-live-region',
+			);
+			expect(liveRegion.getAttribute('aria-live')).toBe('assertive');
+			expect(liveRegion.textContent).toBe(
+				'Please match all validation requirements (1 of 2)',
+			);
+		});
+
+		it('should drop emphasis once a rule is met and return to polite announcements', () => {
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('input-throttle', '0');
+			input.value = 'abc1';
+			attemptSubmit();
+
+			input.value = 'abcdefg1';
+			input.dispatchEvent(new Event('input'));
+
+			const [length] = element.querySelectorAll('li');
+			expect(length.classList.contains('validation-emphasis')).toBe(
+				false,
+			);
+			expect(
+				element
+					.querySelector('.form-validation-list-live-region')
+					.getAttribute('aria-live'),
+			).toBe('polite');
+		});
+
+		it('should block the submit of a novalidate form while invalid', () => {
+			form.noValidate = true;
+			const submit = new Event('submit', { cancelable: true });
+			form.dispatchEvent(submit);
+			expect(submit.defaultPrevented).toBe(true);
+
+			input.value = 'abcdefg1';
+			const retry = new Event('submit', { cancelable: true });
+			form.dispatchEvent(retry);
+			expect(retry.defaultPrevented).toBe(false);
+		});
+
+		it('should focus the first invalid field in the form', () => {
+			const first = document.createElement('input');
+			first.required = true;
+			form.insertBefore(first, input);
+
+			attemptSubmit();
+
+			expect(document.activeElement).toBe(first);
+		});
+
+		it('should leave invalid events alone when not intercepting', () => {
+			element.removeAttribute('intercept-submit');
+
+			const invalid = attemptSubmit();
+
+			expect(invalid.defaultPrevented).toBe(false);
+		});
+
+		it('should leave checkValidity() calls alone', () => {
+			const other = document.createElement('input');
+			form.appendChild(other);
+			other.focus();
+			input.value = 'abc1';
+			element.validate();
+
+			expect(form.checkValidity()).toBe(false);
+			expect(input.checkValidity()).toBe(false);
+
+			expect(document.activeElement).toBe(other);
+			const [length] = element.querySelectorAll('li');
+			expect(length.classList.contains('validation-emphasis')).toBe(
+				false,
+			);
+			expect(
+				element
+					.querySelector('.form-validation-list-live-region')
+					.getAttribute('aria-live'),
+			).toBe('polite');
+		});
+
+		it('should return to polite announcements on the next blur', () => {
+			element.triggerEvent = 'blur';
+			input.value = 'abc1';
+			attemptSubmit();
+			const liveRegion = element.querySelector(
+				'.form-validation-list-live-region',
+			);
+			expect(liveRegion.getAttribute('aria-live')).toBe('assertive');
+
+			input.dispatchEvent(new Event('blur'));
+
+			expect(liveRegion.getAttribute('aria-live')).toBe('polite');
+		});
+	});
+
+	describe('form-associated mode', () => {
+		let internals;
+
+		const createInternals = (form) => {
+			const validity = { valid: true, customError: false };
+			return {
+				form,
+				validity,
+				validationMessage: '',
+				anchor: undefined,
+				states: new Set(),
+				setValidity(flags, message = '', anchor) {
+					validity.customError = Boolean(flags.customError);
+					validity.valid = !validity.customError;
+					this.validationMessage = message;
+					this.anchor = anchor;
+				},
+				checkValidity: vi.fn(() => validity.valid),
+				reportValidity: vi.fn(() => validity.valid),
+			};
+		};
+
+		beforeEach(() => {
+			const form = document.createElement('form');
+			document.body.appendChild(form);
+			form.append(input, element);
+
+			internals = createInternals(form);
+			element.attachInternals = vi.fn(() => internals);
+			element.innerHTML = `<ul><li data-pattern="[A-Z]">Capital letter</li></ul>`;
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('validity-mode', 'internals');
+			element.disconnectedCallback();
+			element.connectedCallback();
+		});
+
+		it('should declare itself form-associated', () => {
+			expect(FormValidationListElement.formAssociated).toBe(true);
+		});
+
+		it('should report validity through ElementInternals', () => {
+			input.value = 'abc';
+			element.validate();
+
+			expect(internals.validity.valid).toBe(false);
+			expect(internals.validationMessage).toBe(
+				'Please match all validation requirements (0 of 1)',
+			);
+			expect(input.validationMessage).toBe('');
+			expect(element.checkValidity()).toBe(false);
+			expect(element.reportValidity()).toBe(false);
+			expect(internals.reportValidity).toHaveBeenCalled();
+
+			input.value = 'ABC';
+			element.validate();
+			expect(internals.validity.valid).toBe(true);
+			expect(element.checkValidity()).toBe(true);
+		});
+
+		it('should anchor validity to a field inside the element', () => {
+			element.prepend(input);
+			input.value = 'abc';
+			element.validate();
+			expect(internals.anchor).toBe(input);
+		});
+
+		it('should expose form and validity', () => {
+			expect(element.form).toBe(internals.form);
+			expect(element.validity).toBe(internals.validity);
+		});
+
+		it('should reflect host states', () => {
+			input.value = 'abc';
+			element.validate();
+			expect([...internals.states].sort()).toEqual([
+				'has-value',
+				'invalid',
+				'pristine',
+			]);
+
+			input.value = 'ABC';
+			element.validate();
+			expect([...internals.states].sort()).toEqual([
+				'has-value',
+				'pristine',
+				'valid',
+			]);
+
+			element.disconnectedCallback();
+			expect(internals.states.size).toBe(0);
+		});
+
+		it('should move validity back to the field when the mode is removed', () => {
+			input.value = 'abc';
+			element.validate();
+
+			element.removeAttribute('validity-mode');
+			expect(internals.validity.valid).toBe(true);
+			expect(input.validationMessage).toBeTruthy();
+		});
+
+		it('should fall back to the field without ElementInternals support', () => {
+			const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+			try {
+				element.attachInternals = undefined;
+				element._internals = null;
+				input.value = 'abc';
+				element.validate();
+				expect(input.validationMessage).toBeTruthy();
+				expect(element.checkValidity()).toBe(false);
+			} finally {
+				warn.mockRestore();
+			}
+		});
+
+		it('should normalize unsupported modes to field', () => {
+			element.validityMode = 'shadow';
+			expect(element.getAttribute('validity-mode')).toBe('field');
+		});
+	});
+
+	describe('programmatic rules', () => {
+		beforeEach(() => {
+			element.innerHTML = '';
+			element.setAttribute('each-delay', '0');
+		});
+
+		it('should render rules from the rules property', () => {
+			element.rules = [
+				{
+					id: 'length',
+					pattern: '.{8,}',
+					label: 'At least 8 characters',
+				},
+				{
+					id: 'upper',
+					pattern: /\p{Lu}/u,
+					label: 'An uppercase letter',
+				},
+			];
+
+			const items = element.querySelectorAll('ul > li');
+			expect(items.length).toBe(2);
+			expect(items[0].dataset.id).toBe('length');
+			expect(items[0].getAttribute('data-pattern')).toBe('.{8,}');
+			expect(items[1].getAttribute('data-flags')).toBe('u');
+			expect(element._rules.length).toBe(2);
+			expect(input.getAttribute('aria-describedby')).toContain(
+				element.querySelector('ul').id,
+			);
+		});
+
+		it('should render the same DOM shape as authored rules', () => {
+			element.rules = [
+				{ id: 'digit', pattern: '\\d', label: 'A number' },
+			];
+			const item = element.querySelector('li');
+			const [icon, state, text] = item.childNodes;
+
+			expect(icon.className).toBe('form-validation-list-rule-icon');
+			expect(icon.getAttribute('aria-hidden')).toBe('true');
+			expect(state.className).toBe('form-validation-list-rule-state');
+			expect(text.nodeType).toBe(Node.TEXT_NODE);
+			expect(text.textContent).toBe('A number');
+			expect(item.getAttribute('aria-atomic')).toBe('true');
+		});
+
+		it('should render labels as text, not markup', () => {
+			element.rules = [
+				{
+					id: 'x',
+					pattern: 'x',
+					label: '<img src=x onerror=alert(1)>',
+				},
+			];
+			expect(element.querySelector('img')).toBeNull();
+			expect(element.getRules()[0].label).toBe(
+				'<img src=x onerror=alert(1)>',
+			);
+		});
+
+		it('should validate rules with a test function', () => {
+			const test = vi.fn((value) => value === 'open sesame');
+			element.rules = [{ id: 'magic', test, label: 'The magic words' }];
+
+			input.value = 'open sesame';
+			expect(element.validate()).toBe(true);
+			expect(test).toHaveBeenCalledWith(
+				'open sesame',
+				expect.objectContaining({ field: input }),
+			);
+
+			input.value = 'nope';
+			expect(element.validate()).toBe(false);
+		});
+
+		it('should add and remove rules', () => {
+			element.rules = [{ id: 'upper', pattern: '[A-Z]', label: 'Upper' }];
+			const added = element.addRule({
+				id: 'digit',
+				pattern: '[0-9]',
+				label: 'Digit',
+			});
+
+			expect(added.dataset.id).toBe('digit');
+			expect(element._rules.length).toBe(2);
+
+			input.value = 'A';
+			expect(element.validate()).toBe(false);
+
+			expect(element.removeRule('digit')).toBe(true);
+			expect(element.removeRule('digit')).toBe(false);
+			expect(element._rules.length).toBe(1);
+			expect(element.validate()).toBe(true);
+		});
+
+		it('should replace a rule added with an existing id', () => {
+			element.rules = [{ id: 'upper', pattern: '[A-Z]', label: 'Upper' }];
+			element.addRule({ id: 'upper', pattern: '[a-z]', label: 'Lower' });
+
+			const rules = element.getRules();
+			expect(rules.length).toBe(1);
+			expect(rules[0].pattern).toBe('[a-z]');
+			expect(rules[0].label).toBe('Lower');
+		});
+
+		it('should describe authored and programmatic rules with getRules()', () => {
+			element.innerHTML = `<ul><li id="authored" data-pattern="a" data-message="Add an a">Letter a</li></ul>`;
+			element.addRule({
+				id: 'b',
+				pattern: 'b',
+				label: 'Letter b',
+				message: 'Add a b',
+			});
+
+			expect(element.getRules()).toEqual([
+				{
+					id: 'authored',
+					pattern: 'a',
+					flags: null,
+					test: null,
+					label: 'Letter a',
+					message: 'Add an a',
+				},
+				{
+					id: 'b',
+					pattern: 'b',
+					flags: null,
+					test: null,
+					label: 'Letter b',
+					message: 'Add a b',
+				},
+			]);
+			expect(element.rules).toEqual(element.getRules());
+		});
+
+		it('should reject rules without an id or a way to test them', () => {
+			expect(() => element.addRule({ pattern: 'a' })).toThrow(TypeError);
+			expect(() => element.addRule({ id: 'a' })).toThrow(TypeError);
+		});
+
+		it('should render rules assigned before connecting', () => {
+			const localInput = document.createElement('input');
+			localInput.id = 'rules-local-input';
+			document.body.appendChild(localInput);
+
+			const localElement = document.createElement('form-validation-list');
+			localElement.fieldId = 'rules-local-input';
+			localElement.rules = [{ id: 'a', pattern: 'a', label: 'Letter a' }];
+			expect(localElement.querySelector('li').dataset.id).toBe('a');
+
+			document.body.appendChild(localElement);
+			expect(localElement._rules.length).toBe(1);
+		});
+	});
+
+	describe('cleanup', () => {
+		it('should remove only this id from aria-describedby when disconnected', () => {
+			input.setAttribute('aria-describedby', 'existing-id');
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital</li></ul>`;
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			const listId = element.querySelector('ul, ol').id;
+			expect(input.getAttribute('aria-describedby')).toContain(
+				'existing-id',
+			);
+			expect(input.getAttribute('aria-describedby')).toContain(listId);
+
+			element.disconnectedCallback();
+
+			expect(input.getAttribute('aria-describedby')).toBe('existing-id');
+		});
+
+		it('should cleanup when disconnected', async () => {
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital</li></ul>`;
+			element.setAttribute('each-delay', '0');
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			input.value = 'Test';
+			input.dispatchEvent(new Event('input'));
+			await waitFor(() => {
+				expect(input.classList.contains('validation-valid')).toBe(true);
+			});
+
+			element.disconnectedCallback();
+
+			// Field should not have validation classes after cleanup
+			expect(input.classList.contains('validation-valid')).toBe(false);
+			expect(input.classList.contains('validation-invalid')).toBe(false);
+		});
+
+		it('should cleanup when for attribute changes', () => {
+			const nextInput = document.createElement('input');
+			nextInput.type = 'text';
+			nextInput.id = 'next-input';
+			document.body.appendChild(nextInput);
+
+			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital</li></ul>`;
+			element.disconnectedCallback();
+			element.connectedCallback();
+
+			const oldField = element._field;
+			oldField.setAttribute('aria-describedby', 'existing-id');
+			element._setupAccessibility();
+
+			element.setAttribute('for', 'next-input');
+
+			expect(element._field).not.toBe(oldField);
+			expect(oldField.getAttribute('aria-describedby')).toBe(
+				'existing-id',
+			);
+		});
+	});
+
+	describe('message catalogs', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.innerHTML = `
+				<ul>
+					<li data-pattern="[A-Z]">Uppercase</li>
+					<li data-pattern="[0-9]">Digit</li>
+				</ul>`;
+		});
+
+		afterEach(() => {
+			document.documentElement.removeAttribute('lang');
+		});
+
+		it('should keep the English defaults', () => {
+			document.body.appendChild(element);
+			input.value = 'A';
+
+			element.validate();
+
+			expect(element.ruleMatchedAlt).toBe('Criteria met');
+			expect(element.strengthLabels).toEqual(['Weak', 'Fair', 'Strong']);
+			expect(input.validationMessage).toBe(
+				'Please match all validation requirements (1 of 2)',
+			);
+		});
+
+		it('should use the catalog for the closest lang, then its base language', () => {
+			FormValidationListElement.registerMessages('fr', {
+				'rule-matched-alt': 'Critère satisfait',
+				'validation-message':
+					'{matched, plural, =0 {Aucun critère} one {# critère} other {# critères}} sur {total}',
+			});
+			const wrapper = document.createElement('div');
+			wrapper.setAttribute('lang', 'fr-CA');
+			wrapper.appendChild(element);
+			document.body.appendChild(wrapper);
+
+			expect(element.ruleMatchedAlt).toBe('Critère satisfait');
+			// Keys the catalog doesn't define fall back to English
+			expect(element.ruleUnmatchedAlt).toBe('Criteria not met');
+
+			input.value = 'a';
+			element.validate();
+			expect(input.validationMessage).toBe('Aucun critère sur 2');
+			input.value = 'A';
+			element.validate();
+			expect(input.validationMessage).toBe('1 critère sur 2');
+		});
+
+		it('should select plural categories with the locale plural rules', () => {
+			document.documentElement.setAttribute('lang', 'pl');
+			element.setAttribute(
+				'validation-message',
+				'{total, plural, one {# reguła} few {# reguły} many {# reguł} other {# reguły}}: {matched}',
+			);
+			element.innerHTML = `<ul>${'<li data-pattern="x">x</li>'.repeat(5)}</ul>`;
+			document.body.appendChild(element);
+
+			element.validate();
+
+			expect(input.validationMessage).toBe('5 reguł: 0');
+		});
+
+		it('should pluralize generated auto rule labels', () => {
+			input.setAttribute('minlength', '1');
+			element.setAttribute('auto-rules', '');
+			element.innerHTML = '';
+			document.body.appendChild(element);
+
+			expect(element.getRules().map(({ label }) => label)).toEqual([
+				'At least 1 character',
+			]);
+		});
+
+		it('should leave unknown placeholders intact', () => {
+			element.setAttribute('announcement', '{matched} {unknown}');
+			document.body.appendChild(element);
+
+			expect(
+				element._formatMessage(element.announcement, { matched: 2 }),
+			).toBe('2 {unknown}');
+		});
+
+		it('should reject invalid catalogs', () => {
+			expect(() =>
+				FormValidationListElement.registerMessages('', {}),
+			).toThrow(TypeError);
+			expect(() =>
+				FormValidationListElement.registerMessages('fr', 'nope'),
+			).toThrow(TypeError);
+		});
+	});
+
+	describe('message placeholders', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.innerHTML = `
+				<ul>
+					<li data-pattern="[A-Z]">An uppercase letter</li>
+					<li data-pattern="[0-9]">A number</li>
+					<li data-pattern="[^A-Za-z0-9]">A symbol</li>
+				</ul>`;
+		});
+
+		it('should describe the unmet rules and the field in the validation message', () => {
+			const label = document.createElement('label');
+			label.htmlFor = 'test-input';
+			label.textContent = ' New  password ';
+			document.body.prepend(label);
+			element.setAttribute(
+				'validation-message',
+				'{label} needs {unmet} ({remaining} left, start with {firstUnmet})',
+			);
+			document.body.appendChild(element);
+
+			input.value = 'A';
+			element.validate();
+
+			expect(input.validationMessage).toBe(
+				'New password needs A number and A symbol (2 left, start with A number)',
+			);
+		});
+
+		it('should join unmet rules with the list format of the locale', () => {
+			document.body.setAttribute('lang', 'es');
+			element.setAttribute('validation-message', 'Falta: {unmet}');
+			document.body.appendChild(element);
+
+			element.validate();
+
+			expect(input.validationMessage).toBe(
+				'Falta: An uppercase letter, A number y A symbol',
+			);
+			document.body.removeAttribute('lang');
+		});
+
+		it('should expand the placeholders in the announcement', async () => {
+			input.setAttribute('aria-label', 'Secret');
+			element.setAttribute('announcement', '{label}: {remaining} to go');
+			element.setAttribute('input-throttle', '0');
+			document.body.appendChild(element);
+
+			input.value = 'A1';
+			input.dispatchEvent(new Event('input'));
+
+			await waitFor(() => {
+				expect(
+					element.querySelector('.form-validation-list-live-region')
+						.textContent,
+				).toBe('Secret: 1 to go');
+			});
+		});
+	});
+
+	describe('rule messages', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.innerHTML = `
+				<ul>
+					<li data-min-length="8" data-message="Use at least 8 characters">8 characters</li>
+					<li data-pattern="[0-9]" data-message="Add a number">A number</li>
+					<li data-pattern="^\\S*$" data-message="Remove spaces" data-priority="2">No spaces</li>
+					<li data-pattern="[A-Z]">An uppercase letter</li>
+				</ul>`;
+			document.body.appendChild(element);
+		});
+
+		it('should report the first unmet rule message', () => {
+			input.value = 'abc';
+			element.validate();
+
+			expect(input.validationMessage).toBe('Use at least 8 characters');
+		});
+
+		it('should prefer higher-priority rule messages', () => {
+			input.value = 'a b';
+			element.validate();
+
+			expect(input.validationMessage).toBe('Remove spaces');
+		});
+
+		it('should fall back to the template when no unmet rule has a message', () => {
+			input.value = 'abcdefg1';
+			element.validate();
+
+			expect(input.validationMessage).toBe(
+				'Please match all validation requirements (3 of 4)',
+			);
+		});
+
+		it('should include the messages in the validated event', () => {
+			const listener = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				listener,
+			);
+
+			input.value = 'a b';
+			element.validate();
+
+			expect(listener.mock.calls[0][0].detail.messages).toEqual([
+				'Remove spaces',
+				'Use at least 8 characters',
+				'Add a number',
+			]);
+		});
+
+		it('should expand placeholders in rule messages', () => {
+			element
+				.querySelector('[data-pattern="[0-9]"]')
+				.setAttribute(
+					'data-message',
+					'Add a number ({remaining} left)',
+				);
+			input.value = 'abcdefgh';
+			element.validate();
+
+			expect(input.validationMessage).toBe('Add a number (2 left)');
+		});
+	});
+
+	describe('announcements', () => {
+		let liveRegion;
+
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('input-throttle', '0');
+			element.innerHTML = `
+				<ul>
+					<li data-pattern="[A-Z]">An uppercase letter</li>
+					<li data-pattern="[0-9]">A number</li>
+				</ul>`;
+		});
+
+		const type = async (value, expected) => {
+			input.value = value;
+			input.dispatchEvent(new Event('input'));
+			await waitFor(() => {
+				expect(liveRegion.textContent).toBe(expected);
+			});
+		};
+
+		const connect = (announce) => {
+			if (announce) {
+				element.setAttribute('announce', announce);
+			}
+			document.body.appendChild(element);
+			liveRegion = element.querySelector(
+				'.form-validation-list-live-region',
+			);
+		};
+
+		it('should default to summary and normalize unknown values', () => {
+			connect();
+			expect(element.announce).toBe('summary');
+
+			element.announce = 'loud';
+			expect(element.getAttribute('announce')).toBe('summary');
+			element.announce = 'changes';
+			expect(element.announce).toBe('changes');
+		});
+
+		it('should skip the summary when no rule changed state', async () => {
+			connect();
+			await type('A', 'Criteria met: 1 of 2');
+
+			liveRegion.textContent = 'unchanged';
+			input.value = 'AB';
+			input.dispatchEvent(new Event('input'));
+			await new Promise((resolve) => setTimeout(resolve, 10));
+
+			expect(liveRegion.textContent).toBe('unchanged');
+			await type('AB1', 'Criteria met: 2 of 2');
+		});
+
+		it('should announce only the rules that changed', async () => {
+			connect('changes');
+
+			await type('A1', 'Now met: An uppercase letter and A number.');
+			await type('a1', 'No longer met: An uppercase letter.');
+			await type(
+				'B',
+				'Now met: An uppercase letter. No longer met: A number.',
+			);
+		});
+
+		it('should follow the changes with the summary when verbose', async () => {
+			connect('verbose');
+
+			await type(
+				'A',
+				'Now met: An uppercase letter. Criteria met: 1 of 2',
+			);
+		});
+
+		it('should stay silent when off', async () => {
+			connect('off');
+
+			input.value = 'A1';
+			input.dispatchEvent(new Event('input'));
+			await waitFor(() => {
 				expect(input.classList.contains('validation-valid')).toBe(true);
 			});
+			expect(liveRegion.textContent).toBe('');
+		});
+	});
 
-			element.disconnectedCallback();
+	describe('trigger modes', () => {
+		let form;
 
-			// Field should not have validation classes after cleanup
-			expect(input.classList.contains('validation-valid')).toBe(false);
-			expect(input.classList.contains('validation-invalid')).toBe(false);
+		beforeEach(() => {
+			element.remove();
+			form = document.createElement('form');
+			form.appendChild(input);
+			document.body.appendChild(form);
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('input-throttle', '0');
+			element.innerHTML =
+				'<ul><li data-pattern="[0-9]">A number</li></ul>';
 		});
 
-		it('should cleanup when for attribute changes', () => {
-			const nextInput = document.createElement('input');
-			nextInput.type = 'text';
-			nextInput.id = 'next-input';
-			document.body.appendChild(nextInput);
+		const type = (value, eventType = 'input') => {
+			input.value = value;
+			input.dispatchEvent(new Event(eventType));
+		};
+		const classes = () =>
+			['validation-valid', 'validation-invalid'].filter((className) =>
+				input.classList.contains(className),
+			);
 
-			element.innerHTML = `<ul><li data-pattern="[A-Z]+">Capital</li></ul>`;
+		it('should accept change, submit and hybrid', () => {
+			for (const mode of ['change', 'submit', 'hybrid']) {
+				element.triggerEvent = mode;
+				expect(element.triggerEvent).toBe(mode);
+			}
+		});
+
+		it('should validate on change', () => {
+			element.setAttribute('trigger-event', 'change');
+			document.body.appendChild(element);
+
+			type('abc');
+			expect(classes()).toEqual([]);
+			type('abc', 'change');
+			expect(classes()).toEqual(['validation-invalid']);
+		});
+
+		it('should wait for the first blur in hybrid mode, then validate as the user types', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			document.body.appendChild(element);
+
+			type('abc');
+			expect(classes()).toEqual([]);
+
+			input.dispatchEvent(new Event('blur'));
+			expect(classes()).toEqual(['validation-invalid']);
+
+			type('abc1');
+			expect(classes()).toEqual(['validation-valid']);
+		});
+
+		it('should switch a hybrid list to live validation after a submit', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			document.body.appendChild(element);
+			type('abc');
+
+			const submit = new Event('submit', {
+				bubbles: true,
+				cancelable: true,
+			});
+			form.dispatchEvent(submit);
+
+			expect(submit.defaultPrevented).toBe(true);
+			expect(input.validationMessage).not.toBe('');
+			type('abc1');
+			expect(classes()).toEqual(['validation-valid']);
+		});
+
+		it('should go back to waiting for a blur after the form is reset', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			document.body.appendChild(element);
+			type('abc');
+			input.dispatchEvent(new Event('blur'));
+
+			form.dispatchEvent(new Event('reset'));
+
+			expect(classes()).toEqual([]);
+			expect(input.validationMessage).toBe('');
+			type('abc');
+			expect(classes()).toEqual([]);
+		});
+
+		it('should validate only on submit, then on change', () => {
+			element.setAttribute('trigger-event', 'submit');
+			document.body.appendChild(element);
+
+			type('abc');
+			input.dispatchEvent(new Event('blur'));
+			expect(classes()).toEqual([]);
+
+			const submit = new Event('submit', {
+				bubbles: true,
+				cancelable: true,
+			});
+			form.dispatchEvent(submit);
+			expect(submit.defaultPrevented).toBe(true);
+			expect(classes()).toEqual(['validation-invalid']);
+
+			type('abc1', 'change');
+			expect(input.validationMessage).toBe('');
+			const retry = new Event('submit', {
+				bubbles: true,
+				cancelable: true,
+			});
+			form.dispatchEvent(retry);
+			expect(retry.defaultPrevented).toBe(false);
+		});
+
+		it('should keep failures hidden when settings or rules change before the first blur', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			document.body.appendChild(element);
+			type('a');
+
+			element.setAttribute('validation-message', 'Try again');
+			element.setAttribute('each-delay', '10');
+			element.setAttribute('field-invalid-class', 'is-invalid');
+			element.addRule({ id: 'long', pattern: '.{4,}', label: 'Long' });
+
+			expect(input.className).not.toMatch(/invalid/);
+			expect(input.validationMessage).toBe('');
+
+			input.dispatchEvent(new Event('blur'));
+			expect(input.classList.contains('is-invalid')).toBe(true);
+			expect(input.validationMessage).toBe('Try again');
+		});
+
+		it('should keep failures hidden when settings change before the first submit', () => {
+			element.setAttribute('trigger-event', 'submit');
+			document.body.appendChild(element);
+			type('a');
+
+			element.setAttribute('validation-message', 'Try again');
+			element.setAttribute('validity-mode', 'field');
+
+			expect(classes()).toEqual([]);
+			expect(input.validationMessage).toBe('');
+		});
+
+		it('should handle a submit once when intercepting in hybrid mode', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			element.setAttribute('intercept-submit', '');
+			document.body.appendChild(element);
+			type('abc');
+			const reportValidity = vi.spyOn(element, 'reportValidity');
+
+			const submit = new Event('submit', {
+				bubbles: true,
+				cancelable: true,
+			});
+			form.dispatchEvent(submit);
+
+			expect(submit.defaultPrevented).toBe(true);
+			expect(reportValidity).not.toHaveBeenCalled();
+			expect(
+				element
+					.querySelector('li')
+					.classList.contains('validation-emphasis'),
+			).toBe(true);
+			type('abc1');
+			expect(classes()).toEqual(['validation-valid']);
+		});
+
+		it('should not count an invalid event outside a submit as interaction', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			document.body.appendChild(element);
+
+			input.dispatchEvent(new Event('invalid', { cancelable: true }));
+			type('abc');
+
+			expect(classes()).toEqual([]);
+		});
+
+		it('should track the interaction per field', () => {
+			element.setAttribute('trigger-event', 'hybrid');
+			document.body.appendChild(element);
+			input.dispatchEvent(new Event('blur'));
+
+			const replacement = document.createElement('input');
+			input.replaceWith(replacement);
+			input.id = '';
+			replacement.id = 'test-input';
+			element.field = replacement;
+
+			replacement.value = 'abc';
+			replacement.dispatchEvent(new Event('input'));
+			expect(replacement.classList.contains('validation-invalid')).toBe(
+				false,
+			);
+		});
+	});
+
+	describe('interaction state', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.setAttribute('input-throttle', '0');
+			element.innerHTML =
+				'<ul><li data-pattern="[0-9]">A number</li></ul>';
+			document.body.appendChild(element);
+		});
+
+		const hostStates = () =>
+			['pristine', 'dirty', 'touched'].filter((state) =>
+				element.classList.contains(state),
+			);
+		const fieldStates = () =>
+			['pristine', 'dirty', 'touched'].filter((state) =>
+				input.classList.contains(`validation-${state}`),
+			);
+
+		it('should start pristine and untouched', () => {
+			expect(element.pristine).toBe(true);
+			expect(element.dirty).toBe(false);
+			expect(element.touched).toBe(false);
+			expect(hostStates()).toEqual(['pristine']);
+			expect(fieldStates()).toEqual(['pristine']);
+		});
+
+		it('should become dirty on input and touched on blur', () => {
+			input.value = 'a';
+			input.dispatchEvent(new Event('input'));
+			expect(element.dirty).toBe(true);
+			expect(hostStates()).toEqual(['dirty']);
+
+			input.dispatchEvent(new Event('blur'));
+			expect(element.touched).toBe(true);
+			expect(hostStates()).toEqual(['dirty', 'touched']);
+			expect(fieldStates()).toEqual(['dirty', 'touched']);
+		});
+
+		it('should not become dirty from programmatic changes', () => {
+			input.value = 'a';
+			element.validate();
+
+			expect(element.pristine).toBe(true);
+		});
+
+		it('should include the state in the validated event', () => {
+			const listener = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				listener,
+			);
+
+			input.value = 'a';
+			input.dispatchEvent(new Event('input'));
+
+			expect(listener.mock.calls[0][0].detail).toMatchObject({
+				pristine: false,
+				dirty: true,
+				touched: false,
+			});
+		});
+
+		it('should reset with reset() and with the form', () => {
+			input.dispatchEvent(new Event('input'));
+			input.dispatchEvent(new Event('blur'));
+
+			element.reset();
+			expect(hostStates()).toEqual(['pristine']);
+			expect(element.touched).toBe(false);
+
+			const form = document.createElement('form');
+			form.appendChild(input);
+			document.body.appendChild(form);
+			element.field = input;
+			input.dispatchEvent(new Event('change'));
+			expect(element.dirty).toBe(true);
+
+			form.dispatchEvent(new Event('reset'));
+			expect(element.pristine).toBe(true);
+		});
+
+		it('should remove the classes when disconnected', () => {
+			element.remove();
+
+			expect(hostStates()).toEqual([]);
+			expect(fieldStates()).toEqual([]);
+		});
+	});
+
+	describe('rule results', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.innerHTML = `
+				<ul>
+					<li data-id="upper" data-pattern="[A-Z]">An uppercase letter</li>
+					<li data-min-length="3">3 characters</li>
+				</ul>`;
+			document.body.appendChild(element);
+		});
+
+		const listen = (type) => {
+			const listener = vi.fn();
+			element.addEventListener(`form-validation-list:${type}`, listener);
+			return () => listener.mock.calls.map(([event]) => event.detail);
+		};
+
+		it('should include per-rule results in the validated event and getter', () => {
+			const validated = listen('validated');
+
+			input.value = 'A';
+			element.validate();
+
+			const expected = [
+				{
+					id: 'upper',
+					label: 'An uppercase letter',
+					pattern: '[A-Z]',
+					matched: true,
+					pending: false,
+					previousMatched: false,
+				},
+				{
+					id: null,
+					label: '3 characters',
+					pattern: null,
+					matched: false,
+					pending: false,
+					previousMatched: false,
+				},
+			];
+			expect(validated()[0].results).toMatchObject(expected);
+			expect(element.results).toMatchObject(expected);
+			expect(element.results[0].element).toBe(
+				element.querySelector('[data-id="upper"]'),
+			);
+
+			input.value = 'a';
+			element.validate();
+			expect(element.results[0]).toMatchObject({
+				matched: false,
+				previousMatched: true,
+			});
+		});
+
+		it('should fire rule-change only for rules that flipped', () => {
+			const changes = listen('rule-change');
+
+			input.value = 'A';
+			element.validate();
+			input.value = 'B';
+			element.validate();
+			input.value = 'abc';
+			element.validate();
+
+			expect(
+				changes().map(({ label, matched, previousMatched, field }) => [
+					label,
+					matched,
+					previousMatched,
+					field,
+				]),
+			).toEqual([
+				['An uppercase letter', true, false, input],
+				['An uppercase letter', false, true, input],
+				['3 characters', true, false, input],
+			]);
+		});
+
+		it('should fire validitychange only on transitions', () => {
+			const transitions = listen('validitychange');
+
+			input.value = 'a';
+			element.validate();
+			input.value = 'Abc';
+			element.validate();
+			input.value = 'Abcd';
+			element.validate();
+			input.value = 'ab';
+			element.validate();
+
+			expect(transitions()).toEqual([
+				{ isValid: false, previousValid: null, field: input },
+				{ isValid: true, previousValid: false, field: input },
+				{ isValid: false, previousValid: true, field: input },
+			]);
+		});
+
+		it('should report the initial state once it is known', () => {
+			const transitions = listen('validitychange');
+
+			input.value = 'Abcd';
+			element.validate();
 			element.disconnectedCallback();
 			element.connectedCallback();
+			element.validate();
 
-			const oldField = element._field;
-			oldField.setAttribute('aria-describedby', 'existing-id');
-			element._setupAccessibility();
+			expect(transitions()).toEqual([
+				{ isValid: true, previousValid: null, field: input },
+				{ isValid: true, previousValid: null, field: input },
+			]);
+		});
 
-			element.setAttribute('for', 'next-input');
+		it('should not report changes while asynchronous rules are pending', async () => {
+			let resolveCheck;
+			FormValidationListElement.registerRule(
+				'test-deferred',
+				() =>
+					new Promise((resolve) => {
+						resolveCheck = resolve;
+					}),
+			);
+			element.innerHTML =
+				'<ul><li data-rule="test-deferred">Available</li></ul>';
+			await waitFor(() => {
+				expect(element._rules.length).toBe(1);
+			});
+			const changes = listen('rule-change');
+			const transitions = listen('validitychange');
 
-			expect(element._field).not.toBe(oldField);
-			expect(oldField.getAttribute('aria-describedby')).toBe(
-				'existing-id',
+			input.value = 'ada';
+			element.validate();
+			expect(element.results[0].pending).toBe(true);
+			expect(changes()).toEqual([]);
+
+			resolveCheck(true);
+			await waitFor(() => {
+				expect(transitions()).toEqual([
+					{ isValid: true, previousValid: null, field: input },
+				]);
+			});
+			expect(changes().length).toBe(1);
+		});
+	});
+
+	describe('value normalization', () => {
+		beforeEach(() => {
+			element.remove();
+			element = document.createElement('form-validation-list');
+			element.setAttribute('for', 'test-input');
+			element.setAttribute('each-delay', '0');
+			element.innerHTML = `
+				<ul>
+					<li data-pattern="^[0-9]{10}$">Ten digits</li>
+				</ul>`;
+		});
+
+		it('should apply the normalize steps in order', () => {
+			element.setAttribute('normalize', 'trim nospace');
+			document.body.appendChild(element);
+
+			input.value = ' 555 123 4567 ';
+			expect(element.validate()).toBe(true);
+			expect(element.normalization).toEqual(['trim', 'nospace']);
+		});
+
+		it('should support Unicode and case normalization', () => {
+			element.innerHTML = '<ul><li data-pattern="^café$">Café</li></ul>';
+			element.normalization = ['nfc', 'lowercase', 'unknown'];
+			document.body.appendChild(element);
+
+			input.value = 'CAFÉ';
+			expect(element.validate()).toBe(true);
+			expect(element.normalization).toEqual(['nfc', 'lowercase']);
+		});
+
+		it('should treat a value normalized away as empty', () => {
+			element.setAttribute('normalize', 'trim');
+			document.body.appendChild(element);
+
+			input.value = '   ';
+			element.validate();
+
+			expect(element.classList.contains('has-value')).toBe(false);
+		});
+
+		it('should let before-validate listeners replace the value', () => {
+			document.body.appendChild(element);
+			const listener = vi.fn((event) => {
+				event.detail.value = event.detail.value.replace(/[()\s-]/g, '');
+			});
+			element.addEventListener(
+				'form-validation-list:before-validate',
+				listener,
+			);
+
+			input.value = '(555) 123-4567';
+
+			expect(element.validate()).toBe(true);
+			expect(listener.mock.calls[0][0].detail.field).toBe(input);
+		});
+
+		it('should skip the run when before-validate is canceled', () => {
+			document.body.appendChild(element);
+			input.value = '5551234567';
+			element.validate();
+			const validated = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				validated,
+			);
+			element.addEventListener(
+				'form-validation-list:before-validate',
+				(event) => event.preventDefault(),
+			);
+
+			input.value = 'nope';
+			element.validate();
+
+			expect(validated.mock.calls[0][0].detail.skipped).toBe(true);
+			expect(element.isValid).toBe(true);
+			expect(
+				element
+					.querySelector('[data-pattern]')
+					.classList.contains('validation-matched'),
+			).toBe(false);
+		});
+
+		it('should stop blocking the form when before-validate is canceled', () => {
+			const form = document.createElement('form');
+			form.appendChild(input);
+			document.body.appendChild(form);
+			document.body.appendChild(element);
+			const sso = document.createElement('input');
+			sso.type = 'checkbox';
+			form.appendChild(sso);
+			element.addEventListener(
+				'form-validation-list:before-validate',
+				(event) => {
+					if (sso.checked) event.preventDefault();
+				},
 			);
+
+			input.value = '555';
+			element.validate();
+			expect(form.checkValidity()).toBe(false);
+			expect(input.classList.contains('validation-invalid')).toBe(true);
+
+			const validated = vi.fn();
+			const validityChange = vi.fn();
+			element.addEventListener(
+				'form-validation-list:validated',
+				validated,
+			);
+			element.addEventListener(
+				'form-validation-list:validitychange',
+				validityChange,
+			);
+			sso.checked = true;
+			element.validate();
+
+			expect(input.validity.customError).toBe(false);
+			expect(input.classList.contains('validation-invalid')).toBe(false);
+			expect(element.isValid).toBe(true);
+			expect(form.checkValidity()).toBe(true);
+			for (const rule of element.querySelectorAll('li')) {
+				expect(rule.classList.contains('validation-unmatched')).toBe(
+					false,
+				);
+				expect(rule.classList.contains('validation-matched')).toBe(
+					false,
+				);
+			}
+			expect(validated.mock.calls[0][0].detail).toMatchObject({
+				isValid: true,
+				skipped: true,
+				unmetRules: [],
+			});
+			expect(validityChange.mock.calls[0][0].detail).toMatchObject({
+				isValid: true,
+				previousValid: false,
+			});
 		});
 	});
 });
@@ -0,0 +1,304 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { waitFor } from '@testing-library/dom';
+import { FormValidationSummaryElement } from '../form-validation-summary.js';
+import { FormValidationListElement } from '../form-validation-list.js';
+
+// Lists connected while their markup is parsed pick up their rules from
+// the mutation observer, so wait for them before validating
+async function render(markup) {
+	document.body.innerHTML = markup;
+	const lists = document.querySelectorAll('form-validation-list');
+	await waitFor(() => {
+		for (const list of lists) {
+			expect(list._rules.length).toBeGreaterThan(0);
+		}
+	});
+}
+
+describe('FormValidationSummaryElement', () => {
+	let form;
+	let summary;
+	let password;
+	let username;
+
+	beforeEach(async () => {
+		await render(`
+			<form>
+				<form-validation-summary></form-validation-summary>
+				<label for="username">Username</label>
+				<input id="username">
+				<form-validation-list for="username" each-delay="0">
+					<ul><li data-min-length="3">At least 3 characters</li></ul>
+				</form-validation-list>
+				<label for="password">Password</label>
+				<input id="password" type="password">
+				<form-validation-list for="password" each-delay="0">
+					<ul>
+						<li data-min-length="12">At least 12 characters</li>
+						<li data-min-count="digit:1">A digit</li>
+						<li data-severity="advisory" data-min-count="symbol:1">A symbol</li>
+					</ul>
+				</form-validation-list>
+			</form>`);
+		form = document.querySelector('form');
+		summary = document.querySelector('form-validation-summary');
+		username = document.getElementById('username');
+		password = document.getElementById('password');
+	});
+
+	afterEach(() => {
+		document.body.innerHTML = '';
+	});
+
+	it('should be defined', () => {
+		expect(customElements.get('form-validation-summary')).toBe(
+			FormValidationSummaryElement,
+		);
+	});
+
+	it('should stay hidden until validation fails', () => {
+		expect(summary.hidden).toBe(true);
+		expect(summary.getAttribute('tabindex')).toBe('-1');
+		expect(summary.querySelector('h2').textContent).toBe(
+			'There is a problem',
+		);
+		expect(summary.getAttribute('aria-labelledby')).toBe(
+			summary.querySelector('h2').id,
+		);
+	});
+
+	it('should list failing fields with links and unmet rules when shown', () => {
+		username.value = 'ada';
+		password.value = 'short';
+
+		expect(summary.show()).toBe(true);
+
+		expect(summary.hidden).toBe(false);
+		expect(document.activeElement).toBe(summary);
+		const items = summary.querySelectorAll(
+			'.form-validation-summary-list > li',
+		);
+		expect(items.length).toBe(1);
+		const link = items[0].querySelector('a');
+		expect(link.textContent).toBe('Password');
+		expect(link.getAttribute('href')).toBe('#password');
+		expect(
+			Array.from(items[0].querySelectorAll('li'), (li) => li.textContent),
+		).toEqual(['At least 12 characters', 'A digit']);
+	});
+
+	it('should include untouched fields in document order', () => {
+		summary.show();
+
+		expect(summary.errors.map(({ label }) => label)).toEqual([
+			'Username',
+			'Password',
+		]);
+	});
+
+	it('should update live and hide once every field is fixed', () => {
+		username.value = 'ada';
+		password.value = 'short';
+		summary.show();
+
+		password.value = 'long enough 1';
+		password.dispatchEvent(new Event('blur'));
+
+		expect(summary.errors).toEqual([]);
+		expect(summary.hidden).toBe(true);
+	});
+
+	it('should focus the field when its link is activated', () => {
+		summary.show();
+
+		summary.querySelector('a[href="#password"]').click();
+
+		expect(document.activeElement).toBe(password);
+	});
+
+	it('should show itself after the browser blocks a submit', async () => {
+		username.dispatchEvent(
+			new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }),
+		);
+		username.dispatchEvent(new Event('invalid', { cancelable: true }));
+		password.dispatchEvent(new Event('invalid', { cancelable: true }));
+
+		await waitFor(() => {
+			expect(summary.hidden).toBe(false);
+		});
+		expect(document.activeElement).toBe(summary);
+		expect(summary.errors.length).toBe(2);
+	});
+
+	it('should stay hidden when checkValidity() reports invalid fields', () => {
+		vi.useFakeTimers();
+		username.focus();
+		for (const list of document.querySelectorAll('form-validation-list')) {
+			list.validate();
+		}
+
+		expect(form.checkValidity()).toBe(false);
+		vi.runAllTimers();
+		vi.useRealTimers();
+
+		expect(summary.hidden).toBe(true);
+		expect(document.activeElement).toBe(username);
+	});
+
+	it('should drop fields whose validation is skipped', () => {
+		form.noValidate = true;
+		summary.show();
+		expect(summary.errors.length).toBe(2);
+
+		// Skip every list, as when signing in with SSO
+		form.addEventListener('form-validation-list:before-validate', (event) =>
+			event.preventDefault(),
+		);
+		document
+			.querySelector('form-validation-list[for="username"]')
+			.validate();
+
+		expect(summary.errors.map(({ field }) => field)).toEqual([password]);
+		const submit = new Event('submit', { bubbles: true, cancelable: true });
+		form.dispatchEvent(submit);
+		expect(submit.defaultPrevented).toBe(false);
+		expect(summary.hidden).toBe(true);
+	});
+
+	it('should block submission of a novalidate form with failing fields', () => {
+		form.noValidate = true;
+		const submit = new Event('submit', { bubbles: true, cancelable: true });
+		form.dispatchEvent(submit);
+		expect(submit.defaultPrevented).toBe(true);
+
+		username.value = 'ada';
+		password.value = 'long enough 1';
+		const retry = new Event('submit', { bubbles: true, cancelable: true });
+		form.dispatchEvent(retry);
+		expect(retry.defaultPrevented).toBe(false);
+	});
+
+	it('should name checkbox groups by their fieldset legend', async () => {
+		await render(`
+			<form>
+				<form-validation-summary heading="Fix these"></form-validation-summary>
+				<fieldset>
+					<legend>Terms</legend>
+					<input type="checkbox" id="terms" name="terms">
+					<input type="checkbox" name="terms">
+				</fieldset>
+				<form-validation-list for="terms" each-delay="0">
+					<ul><li data-min-selected="2">Accept both terms</li></ul>
+				</form-validation-list>
+			</form>`);
+		summary = document.querySelector('form-validation-summary');
+
+		summary.show();
+
+		expect(summary.querySelector('h2').textContent).toBe('Fix these');
+		expect(summary.errors).toEqual([
+			{
+				field: document.getElementById('terms'),
+				label: 'Terms',
+				unmetRules: ['Accept both terms'],
+			},
+		]);
+	});
+
+	it('should name fields by aria-labelledby like the list does', async () => {
+		await render(`
+			<form>
+				<form-validation-summary></form-validation-summary>
+				<span id="code-label">Access   code</span>
+				<input id="code" aria-labelledby="code-label">
+				<form-validation-list for="code" each-delay="0">
+					<ul><li data-min-length="4">4 characters</li></ul>
+				</form-validation-list>
+			</form>`);
+		summary = document.querySelector('form-validation-summary');
+		const field = document.getElementById('code');
+
+		summary.show();
+
+		expect(summary.errors[0].label).toBe('Access code');
+		expect(summary.errors[0].label).toBe(
+			FormValidationListElement.getFieldLabel(field),
+		);
+	});
+
+	it('should summarize a form referenced with for', async () => {
+		await render(`
+			<form-validation-summary for="signup"></form-validation-summary>
+			<form id="signup">
+				<input id="email" aria-label="Email">
+				<form-validation-list for="email" each-delay="0">
+					<ul><li data-pattern="@">Contains @</li></ul>
+				</form-validation-list>
+			</form>`);
+		summary = document.querySelector('form-validation-summary');
+
+		expect(summary.show()).toBe(true);
+		expect(summary.errors[0].label).toBe('Email');
+	});
+
+	it('should validate untouched lists defined under a custom tag name', async () => {
+		if (!customElements.get('test-summary-list')) {
+			customElements.define(
+				'test-summary-list',
+				class extends FormValidationListElement {},
+			);
+		}
+		document.body.innerHTML = `
+			<form>
+				<form-validation-summary></form-validation-summary>
+				<input id="code" aria-label="Code">
+			</form>`;
+		const list = document.createElement('test-summary-list');
+		list.setAttribute('for', 'code');
+		list.innerHTML = '<ul><li data-min-length="4">4 characters</li></ul>';
+		document.querySelector('form').appendChild(list);
+		summary = document.querySelector('form-validation-summary');
+
+		expect(summary.show()).toBe(true);
+		expect(summary.errors.map(({ label }) => label)).toEqual(['Code']);
+	});
+
+	it('should take its default heading from the message catalog', async () => {
+		expect(summary.querySelector('h2').textContent).toBe(
+			'There is a problem',
+		);
+
+		FormValidationListElement.registerMessages('cy', {
+			'summary-heading': 'Mae problem',
+		});
+		await render(`
+			<form lang="cy-GB">
+				<form-validation-summary></form-validation-summary>
+			</form>`);
+
+		expect(
+			document.querySelector('form-validation-summary h2').textContent,
+		).toBe('Mae problem');
+	});
+
+	it('should warn when it has no form', () => {
+		const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		document.body.appendChild(
+			document.createElement('form-validation-summary'),
+		);
+
+		expect(warnSpy).toHaveBeenCalledWith(
+			'form-validation-summary: Must be placed inside a form or reference one with "for"',
+		);
+		warnSpy.mockRestore();
+	});
+
+	it('should remove listeners and rendered markup when disconnected', () => {
+		summary.remove();
+
+		expect(summary.querySelector('h2')).toBe(null);
+		const submit = new Event('submit', { bubbles: true, cancelable: true });
+		form.dispatchEvent(submit);
+		expect(submit.defaultPrevented).toBe(false);
+	});
+});
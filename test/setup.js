@@ -1,5 +1,6 @@
 import { beforeAll } from 'vitest';
 import { FormValidationListElement } from '../form-validation-list.js';
+import { FormValidationSummaryElement } from '../form-validation-summary.js';
 
 // Define the custom element before tests run
 beforeAll(() => {
@@ -9,6 +10,12 @@ beforeAll(() => {
 			FormValidationListElement,
 		);
 	}
+	if (!customElements.get('form-validation-summary')) {
+		customElements.define(
+			'form-validation-summary',
+			FormValidationSummaryElement,
+		);
+	}
 
 	// Make the class available globally for testing static methods
 	globalThis.FormValidationListElement = FormValidationListElement;